@@ -1,9 +1,10 @@
+// Load .env before anything reads process.env at require time
+require('dotenv').config();
 require('events').EventEmitter.defaultMaxListeners = 15;
 
 const express = require('express');
-const dotenv = require('dotenv');
 const cookieParser = require('cookie-parser');
-const csrf = require('csurf');
+const csrfProtection = require('./src/middleware/csrf');
 const rateLimit = require('express-rate-limit');
 const bodyParser = require('body-parser');
 const cors = require('./src/middleware/cors');
@@ -12,11 +13,20 @@ const compression = require('compression');
 const ensureUploadDir = require('./src/utils/ensureUploadDir');
 const publicRoutes = require('./src/routes/public.routes');
 const prisma = require('./src/services/db.service');
+const requestContext = require('./src/middleware/requestContext');
+require('./src/services/audit.service');
+require('./src/services/postRevision.service');
+require('./src/services/search.service');
+require('./src/services/translation.service');
+require('./src/services/mediaUsage.service');
+const { startScheduler } = require('./src/services/scheduler.service');
 
-dotenv.config();
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind the Vercel proxy, so req.ip should come from X-Forwarded-For
+app.set('trust proxy', 1);
+
 // Basic middleware
 app.use(cors);
 app.use(cookieParser());
@@ -31,6 +41,10 @@ app.use(
     parameterLimit: 50000,
   })
 );
+app.use(requestContext);
+
+// Cookie-authenticated state changes need a CSRF token
+app.use(csrfProtection);
 
 // Static files
 app.use(
@@ -43,6 +57,9 @@ app.use(
 app.use('/api/public', publicRoutes);
 
 // Auth routes with conditional CSRF
+app.use('/api/auth/users', require('./src/routes/user.routes'));
+app.use('/api/auth/invites', require('./src/routes/invite.routes'));
+app.use('/api/auth/sessions', require('./src/routes/session.routes'));
 app.use('/api/auth', require('./src/routes/auth.user.routes'));
 
 // Protected routes with CSRF
@@ -56,14 +73,24 @@ app.use('/api/banners', require('./src/routes/banner.routes'));
 app.use('/api/pdfs', require('./src/routes/pdf.routes'));
 app.use('/api/links', require('./src/routes/footer.routes'));
 app.use('/api/socials', require('./src/routes/social.routes'));
+app.use('/api/permissions', require('./src/routes/permission.routes'));
+app.use('/api/settings', require('./src/routes/settings.routes'));
+app.use('/api/api-keys', require('./src/routes/apiKey.routes'));
+app.use('/api/audit', require('./src/routes/audit.routes'));
+app.use('/api/schedule', require('./src/routes/schedule.routes'));
+app.use('/api/reviews', require('./src/routes/review.routes'));
+app.use('/api/search', require('./src/routes/search.routes'));
+app.use('/api/locales', require('./src/routes/locale.routes'));
+app.use('/api/translations', require('./src/routes/translation.routes'));
+app.use('/api/media', require('./src/routes/media.routes'));
 
 // Error handler for CSRF
 app.use((err, req, res, next) => {
   if (err.code === 'EBADCSRFTOKEN') {
     console.error('CSRF Error:', {
-      path: req.path,
-      headers: req.headers,
-      cookies: req.cookies,
+      method: req.method,
+      path: req.originalUrl,
+      origin: req.get('origin'),
       error: err.message,
     });
     return res.status(403).json({
@@ -95,6 +122,7 @@ prisma
     console.log('Connected to Database via Prisma');
     app.listen(port, () => {
       console.log(`Server is running on port ${port}`);
+      startScheduler();
     });
   })
   .catch((error) => {
@@ -0,0 +1,41 @@
+// Deletes orphaned gallery rows and stored files nothing refers to, once they
+// are older than the grace period (media.orphanGraceHours unless given).
+// Only reports what it would remove unless --apply is given.
+//
+//   node scripts/cleanup-media.js [--apply] [--grace-hours=24]
+require('dotenv').config();
+
+const prisma = require('../src/services/db.service');
+const { collectGarbage } = require('../src/services/mediaCleanup.service');
+
+const dryRun = !process.argv.includes('--apply');
+const graceArg = process.argv.find((arg) => arg.startsWith('--grace-hours='));
+const graceHours = graceArg ? Number(graceArg.split('=')[1]) : undefined;
+
+const cleanup = async () => {
+  if (graceHours !== undefined && !(graceHours >= 0)) {
+    throw new Error('--grace-hours must be a non-negative number');
+  }
+
+  const report = await collectGarbage({ dryRun, graceHours });
+  const prefix = dryRun ? '[dry run] ' : '';
+
+  console.log(`${prefix}Grace period: ${report.graceHours}h (before ${report.cutoff.toISOString()})`);
+  report.orphanedRows.forEach((row) => {
+    console.log(`${prefix}gallery #${row.id} ${row.url}`);
+  });
+  report.unreferencedFiles.forEach((file) => {
+    console.log(`${prefix}${file.visibility} file ${file.key} (${file.size} bytes)`);
+  });
+  console.log(
+    `${prefix}${dryRun ? 'Would remove' : 'Removed'} ${report.orphanedRows.length} gallery rows ` +
+      `and ${report.unreferencedFiles.length} files (${report.unreferencedBytes} bytes)`
+  );
+};
+
+cleanup()
+  .catch((error) => {
+    console.error('Media cleanup failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,55 @@
+// One-off migration: moves the base64 fileData of existing PDFs into the
+// configured storage backend and clears the column. Safe to re-run; rows
+// that already have a storageKey are skipped.
+//
+//   node scripts/migrate-pdf-storage.js [--dry-run]
+require('dotenv').config();
+
+const prisma = require('../src/services/db.service');
+const { getDriverName } = require('../src/services/storage');
+const { storePdf } = require('../src/services/pdfFile.service');
+
+const BATCH_SIZE = 10;
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  let cursor = 0;
+  let count = 0;
+  let bytes = 0;
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Moving PDFs to ${getDriverName()} storage`);
+
+  for (;;) {
+    const pdfs = await prisma.pdf.findMany({
+      where: { id: { gt: cursor }, storageKey: null, fileData: { not: null } },
+      select: { id: true, fileId: true, fileData: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (!pdfs.length) break;
+
+    for (const pdf of pdfs) {
+      const buffer = Buffer.from(pdf.fileData, 'base64');
+
+      if (!dryRun) {
+        const storageKey = await storePdf(pdf.fileId, buffer);
+        await prisma.pdf.update({
+          where: { id: pdf.id },
+          data: { storageKey, fileData: null, fileSize: buffer.length },
+        });
+      }
+      count += 1;
+      bytes += buffer.length;
+    }
+    cursor = pdfs[pdfs.length - 1].id;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}pdf: ${count} files, ${bytes} bytes`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('PDF storage migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
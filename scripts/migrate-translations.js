@@ -0,0 +1,47 @@
+// One-off backfill: copies the *En/*Bn columns of existing content into the
+// translations table. Safe to re-run; later writes are mirrored automatically.
+//
+//   node scripts/migrate-translations.js [--dry-run]
+require('dotenv').config();
+
+const prisma = require('../src/services/db.service');
+const { seedBuiltInLocales } = require('../src/services/locale.service');
+const { TRANSLATABLE, syncColumns } = require('../src/services/translation.service');
+
+const BATCH_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await seedBuiltInLocales();
+
+  for (const [type, config] of Object.entries(TRANSLATABLE)) {
+    let cursor = 0;
+    let count = 0;
+
+    for (;;) {
+      const records = await prisma[config.delegate].findMany({
+        where: { id: { gt: cursor } },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (!records.length) break;
+
+      if (!dryRun) {
+        for (const record of records) {
+          await syncColumns(type, record);
+        }
+      }
+      count += records.length;
+      cursor = records[records.length - 1].id;
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}${type}: ${count} records`);
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Translation migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -1,12 +1,14 @@
 const clearAuthCookie = (res) => {
-  res.clearCookie('token', {
+  const options = {
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production',
     sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
-    path: '/',
     domain: process.env.COOKIE_DOMAIN || undefined,
     maxAge: 0
-  });
+  };
+
+  res.clearCookie('token', { ...options, path: '/' });
+  res.clearCookie('refreshToken', { ...options, path: '/api/auth' });
 };
 
 module.exports = clearAuthCookie;
@@ -0,0 +1,26 @@
+const { ACCESS_TOKEN_TTL_SECONDS } = require('../middleware/generateToken');
+const { REFRESH_TOKEN_TTL_MS } = require('../services/session.service');
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    domain: process.env.COOKIE_DOMAIN || undefined,
+  };
+
+  res.cookie('token', accessToken, {
+    ...options,
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+    path: '/',
+  });
+
+  // Only the auth routes ever need to see the refresh token
+  res.cookie('refreshToken', refreshToken, {
+    ...options,
+    maxAge: REFRESH_TOKEN_TTL_MS,
+    path: '/api/auth',
+  });
+};
+
+module.exports = setAuthCookies;
@@ -1,11 +1,46 @@
 const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
+const { setContextUser } = require('./requestContext');
+const { isTwoFactorRequired } = require('../services/twoFactor.service');
+const { isApiKey, authenticateApiKey } = require('../services/apiKey.service');
+
+// Routes a user can still reach while their role demands 2FA they have not set up
+const TWO_FACTOR_SETUP_PATHS = [
+  '/api/auth/2fa',
+  '/api/auth/check',
+  '/api/auth/logout',
+  '/api/auth/sessions',
+];
 
 const authMiddleware = async (req, res, next) => {
   try {
-    const token = req.cookies.token || req.headers.authorization?.split(' ')[1];
-    
+    const bearer = req.headers.authorization?.split(' ')[1];
+    const apiKey = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null);
+
+    // Machine clients: the key's scopes replace the role capabilities
+    if (apiKey) {
+      const result = await authenticateApiKey(apiKey, req);
+
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired API key'
+        });
+      }
+
+      req.user = {
+        ...result.user,
+        userId: result.user.id,
+        apiKeyId: result.apiKey.id,
+        capabilities: result.capabilities
+      };
+      setContextUser(req.user);
+      return next();
+    }
+
+    // An explicit Authorization header wins, which is also what exempts it from CSRF checks
+    const token = bearer || req.cookies.token;
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -14,15 +49,36 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
+    // Access tokens are only valid while their session has not been revoked
+    const session = decoded.sid
+      ? await prisma.session.findUnique({
+          where: { id: decoded.sid },
+          select: { userId: true, revokedAt: true, expiresAt: true }
+        })
+      : null;
+
+    if (
+      !session ||
+      session.revokedAt ||
+      session.expiresAt < new Date() ||
+      session.userId !== parseInt(decoded.userId)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired'
+      });
+    }
+
     const user = await prisma.user.findUnique({
-      where: { id: parseInt(decoded.userId) }, // Changed from decoded.userId to decoded.id
+      where: { id: parseInt(decoded.userId) },
       select: {
         id: true,
         username: true,
         email: true,
         role: true,
-        isActive: true
+        isActive: true,
+        twoFactorEnabled: true
       }
     });
 
@@ -33,11 +89,25 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    if (
+      !user.twoFactorEnabled &&
+      !TWO_FACTOR_SETUP_PATHS.some((path) => req.originalUrl.startsWith(path)) &&
+      (await isTwoFactorRequired(user.role))
+    ) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be set up for your role'
+      });
+    }
+
     // Set user with correct ID field
     req.user = {
       ...user,
-      userId: user.id // Add userId for backward compatibility
+      userId: user.id, // Add userId for backward compatibility
+      sessionId: decoded.sid
     };
+    setContextUser(req.user);
 
     next();
   } catch (error) {
@@ -0,0 +1,46 @@
+const { getRoleCapabilities } = require('../services/permission.service');
+
+const sendForbidden = (res, required) =>
+  res.status(403).json({
+    success: false,
+    message: 'You do not have permission to perform this action',
+    required,
+  });
+
+const hasCapability = (user, capability) =>
+  Boolean(user?.capabilities?.includes(capability));
+
+// Must run after authMiddleware. Passes only if the user holds every listed capability.
+const authorize =
+  (...required) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required',
+        });
+      }
+
+      if (!req.user.capabilities) {
+        req.user.capabilities = await getRoleCapabilities(req.user.role);
+      }
+
+      const missing = required.filter((capability) => !hasCapability(req.user, capability));
+      if (missing.length) {
+        return sendForbidden(res, missing);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking permissions',
+      });
+    }
+  };
+
+module.exports = authorize;
+module.exports.hasCapability = hasCapability;
+module.exports.sendForbidden = sendForbidden;
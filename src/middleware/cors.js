@@ -20,7 +20,9 @@ const corsOptions = {
   allowedHeaders: [
     'Content-Type',
     'Authorization',
+    'X-Api-Key',
     'X-CSRF-Token',
+    'X-Preview-Token',
     'X-Requested-With',
     'Accept',
     'Accept-Version',
@@ -29,8 +31,10 @@ const corsOptions = {
     'Date',
     'X-Api-Version',
     'x-delete-from-editor',
+    'x-editor-post-id',
     'x-requested-with',
   ],
+  exposedHeaders: ['X-Preview'],
   preflightContinue: false,
   optionsSuccessStatus: 204,
 };
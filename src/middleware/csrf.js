@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Signed double-submit tokens. The secret lives in an httpOnly cookie and the
+// client echoes a token derived from it in the X-CSRF-Token header.
+const SECRET_COOKIE = 'csrfSecret';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const AUTH_COOKIES = ['token', 'refreshToken'];
+
+const sign = (secret, salt) =>
+  crypto.createHmac('sha256', secret).update(salt).digest('base64url');
+
+const issueCsrfToken = (req, res) => {
+  let secret = req.cookies[SECRET_COOKIE];
+
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('base64url');
+    res.cookie(SECRET_COOKIE, secret, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
+      domain: process.env.COOKIE_DOMAIN || undefined,
+      path: '/',
+    });
+  }
+
+  const salt = crypto.randomBytes(16).toString('base64url');
+  return `${salt}.${sign(secret, salt)}`;
+};
+
+const isValidToken = (secret, token) => {
+  if (!secret || typeof token !== 'string') return false;
+
+  const [salt, signature] = token.split('.');
+  if (!salt || !signature) return false;
+
+  const expected = Buffer.from(sign(secret, salt));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Only requests that ride on the browser's auth cookies can be forged, so
+// Bearer and API key requests and anonymous requests pass straight through.
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method)) return next();
+  if (req.headers.authorization || req.headers['x-api-key']) return next();
+  if (!AUTH_COOKIES.some((name) => req.cookies[name])) return next();
+
+  const token = req.get('x-csrf-token') || req.body?._csrf;
+
+  if (!isValidToken(req.cookies[SECRET_COOKIE], token)) {
+    const error = new Error('Invalid CSRF token');
+    error.code = 'EBADCSRFTOKEN';
+    return next(error);
+  }
+
+  next();
+};
+
+module.exports = csrfProtection;
+module.exports.issueCsrfToken = issueCsrfToken;
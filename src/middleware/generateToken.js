@@ -1,9 +1,13 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (userId, role) => {
-  return jwt.sign({ userId, role }, process.env.JWT_SECRET, {
-    expiresIn: '24h',
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15') * 60;
+
+// Short-lived access token bound to a server-side session
+const generateToken = (userId, role, sessionId) => {
+  return jwt.sign({ userId, role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
   });
 };
 
 module.exports = generateToken;
+module.exports.ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS;
@@ -0,0 +1,35 @@
+const multer = require('multer');
+const { MAX_FILE_SIZE, ACCEPTED_MIME_TYPES } = require('../services/image.service');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG, WebP, AVIF, HEIC and TIFF images are allowed');
+      error.status = 400;
+      cb(error);
+      return;
+    }
+    cb(null, true);
+  },
+});
+
+// Accept a single image in the given multipart field; JSON requests pass straight through
+const imageUpload = (field) => (req, res, next) => {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.single(field)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, message: 'Image file is too large' });
+    }
+    res.status(error.status || 400).json({ success: false, message: error.message });
+  });
+};
+
+module.exports = imageUpload;
@@ -0,0 +1,117 @@
+const { getActiveLocales, getFallbackChain } = require('../services/locale.service');
+
+// Built-in locales are stored as *En/*Bn columns or { en, bn } objects
+const COLUMN_LOCALES = ['en', 'bn'];
+const BILINGUAL_KEY = /^(.+)(En|Bn)$/;
+
+const suffixFor = (code) => `${code.charAt(0).toUpperCase()}${code.slice(1)}`;
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+const isLanguageMap = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => COLUMN_LOCALES.includes(key));
+
+// Highest-q active locale from an Accept-Language header; "bn-BD" matches "bn"
+const fromAcceptLanguage = (header, codes) =>
+  String(header || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.find((param) => param.trim().startsWith('q='));
+      const lang = tag.trim().toLowerCase();
+      return {
+        lang: codes.includes(lang) ? lang : lang.split('-')[0],
+        q: q ? parseFloat(q.trim().slice(2)) || 0 : 1,
+      };
+    })
+    .filter(({ lang, q }) => codes.includes(lang) && q > 0)
+    .sort((a, b) => b.q - a.q)[0]?.lang;
+
+const resolveLanguage = (req, codes, defaultCode) => {
+  const requested = String(req.query.lang || '').toLowerCase();
+  if (requested === 'all' || codes.includes(requested)) return requested;
+  return fromAcceptLanguage(req.get('accept-language'), codes) || defaultCode;
+};
+
+// Collapse fooEn/fooBn pairs and foo: { en, bn } into foo, trying each locale of
+// the chain in turn. Values for other locales come from a hidden _translations
+// property (see translation.service). Fields that had to use a later locale in
+// the chain are listed in fallbackFields.
+const localize = (value, chain) => {
+  if (Array.isArray(value)) return value.map((item) => localize(item, chain));
+  if (!isPlainObject(value)) return value;
+
+  const translations = value._translations || {};
+  const result = {};
+  const fallbackFields = [];
+
+  Object.keys(value).forEach((key) => {
+    // Only a complete fooEn/fooBn pair counts, so keys like isOpen are left alone
+    const pair = key.match(BILINGUAL_KEY);
+    const match =
+      pair && COLUMN_LOCALES.every((code) => `${pair[1]}${suffixFor(code)}` in value) ? pair : null;
+    if (!match && !isLanguageMap(value[key])) {
+      if (!(key in result)) result[key] = localize(value[key], chain);
+      return;
+    }
+
+    const base = match ? match[1] : key;
+    if (base in result) return;
+
+    const pick = (code) => {
+      if (translations[code]?.[base] !== undefined) return translations[code][base];
+      if (!COLUMN_LOCALES.includes(code)) return undefined;
+      return match ? value[`${base}${suffixFor(code)}`] : value[key][code];
+    };
+
+    const index = chain.findIndex((code) => !isMissing(pick(code)));
+    if (index > 0) fallbackFields.push(base);
+    result[base] = localize(index === -1 ? null : pick(chain[index]), chain);
+  });
+
+  if (fallbackFields.length) {
+    result.isFallback = true;
+    result.fallbackFields = fallbackFields;
+  }
+
+  return result;
+};
+
+// Negotiates ?lang= / Accept-Language against the active locales and localizes
+// JSON responses; ?lang=all keeps the raw per-language fields.
+const languageNegotiation = async (req, res, next) => {
+  try {
+    const locales = await getActiveLocales();
+    const codes = locales.map((locale) => locale.code);
+    const defaultCode = (locales.find((locale) => locale.isDefault) || locales[0]).code;
+
+    const lang = resolveLanguage(req, codes, defaultCode);
+    req.lang = lang;
+
+    // Fallback chain first, then any other active locale as a last resort
+    const chain =
+      lang === 'all' ? null : [...new Set([...(await getFallbackChain(lang)), ...codes])];
+    req.localeChain = chain;
+
+    res.vary('Accept-Language');
+    if (chain) res.set('Content-Language', lang);
+
+    const json = res.json.bind(res);
+    res.json = (body) => json(chain ? localize(body, chain) : body);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = languageNegotiation;
+module.exports.resolveLanguage = resolveLanguage;
+module.exports.localize = localize;
@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request store so code far from the route (e.g. Prisma hooks) knows who is acting
+const storage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+  storage.run(
+    {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')?.slice(0, 500),
+      user: null,
+    },
+    next
+  );
+};
+
+const getRequestContext = () => storage.getStore() || {};
+
+const setContextUser = (user) => {
+  const store = storage.getStore();
+  if (store) store.user = user;
+};
+
+module.exports = requestContext;
+module.exports.getRequestContext = getRequestContext;
+module.exports.setContextUser = setContextUser;
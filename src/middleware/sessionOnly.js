@@ -0,0 +1,13 @@
+// Must run after authMiddleware. Account self-service (2FA, sessions, API keys) is
+// only open to a signed-in user, never to a machine client holding an API key.
+const sessionOnly = (req, res, next) => {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action requires a signed-in session',
+    });
+  }
+  next();
+};
+
+module.exports = sessionOnly;
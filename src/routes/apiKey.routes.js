@@ -0,0 +1,119 @@
+const express = require('express');
+const prisma = require('../services/db.service');
+const authMiddleware = require('../middleware/auth');
+const sessionOnly = require('../middleware/sessionOnly');
+const authorize = require('../middleware/authorize');
+const { sendForbidden } = authorize;
+const {
+  normalizeScopes,
+  validateScopes,
+  createApiKey,
+  revokeApiKey,
+} = require('../services/apiKey.service');
+
+const router = express.Router();
+
+router.use(authMiddleware, sessionOnly);
+
+// List API keys, never including the key material
+router.get('/', authorize('apikey:manage'), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.mine === 'true') where.createdById = req.user.id;
+    if (req.query.includeRevoked !== 'true') where.revokedAt = null;
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where,
+      select: {
+        id: true,
+        name: true,
+        prefix: true,
+        scopes: true,
+        expiresAt: true,
+        lastUsedAt: true,
+        lastUsedIp: true,
+        revokedAt: true,
+        createdAt: true,
+        createdBy: { select: { id: true, username: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.status(200).json({ success: true, apiKeys });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ success: false, message: 'Error fetching API keys' });
+  }
+});
+
+// Create an API key. The plain key is only returned in this response.
+router.post('/', authorize('apikey:manage'), async (req, res) => {
+  try {
+    const { name, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(req.body.scopes) || !req.body.scopes.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and at least one scope are required',
+      });
+    }
+
+    const scopes = normalizeScopes(req.body.scopes);
+    const invalid = validateScopes(scopes);
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or non-delegable scopes',
+        invalid,
+      });
+    }
+
+    // Nobody can hand out access they do not have themselves
+    const notHeld = scopes.filter((scope) => !req.user.capabilities.includes(scope));
+    if (notHeld.length) {
+      return sendForbidden(res, notHeld);
+    }
+
+    if (expiresAt && !(new Date(expiresAt) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresAt must be a future date',
+      });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes,
+      expiresAt,
+      userId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now, it will not be shown again',
+      apiKey,
+      key,
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ success: false, message: 'Error creating API key' });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', authorize('apikey:manage'), async (req, res) => {
+  try {
+    const { count } = await revokeApiKey(parseInt(req.params.id));
+
+    if (!count) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ success: false, message: 'Error revoking API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const prisma = require('../services/db.service');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+const AUDIT_ACTIONS = ['CREATE', 'UPDATE', 'DELETE', 'STATUS_CHANGE'];
+
+// Prisma filter for the audit log search; { error } for unusable query values
+const buildAuditFilter = (query) => {
+  const { entityType, entityId, userId, action, from, to } = query;
+
+  const auditAction = action ? String(action).toUpperCase() : null;
+  if (auditAction && !AUDIT_ACTIONS.includes(auditAction)) {
+    return { error: `action must be one of ${AUDIT_ACTIONS.join(', ')}` };
+  }
+
+  if (userId && isNaN(parseInt(userId))) {
+    return { error: 'userId must be a user id' };
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  const where = {};
+  if (entityType) where.entityType = String(entityType);
+  if (entityId) where.entityId = String(entityId);
+  if (userId) where.userId = parseInt(userId);
+  if (auditAction) where.action = auditAction;
+  if (fromDate || toDate) {
+    where.createdAt = {
+      ...(fromDate && { gte: fromDate }),
+      ...(toDate && { lte: toDate }),
+    };
+  }
+
+  return { where };
+};
+
+router.use(authMiddleware);
+
+// Search the audit log
+router.get('/', authorize('audit:read'), async (req, res) => {
+  try {
+    const { where, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const pagination = getPagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+    const [entries, count] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        include: { user: { select: { id: true, username: true, role: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.limit,
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      entries,
+      ...paginationMeta(count, pagination),
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, message: 'Error fetching audit log' });
+  }
+});
+
+// Get a single audit entry
+router.get('/:id', authorize('audit:read'), async (req, res) => {
+  try {
+    const entry = await prisma.auditLog.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: { user: { select: { id: true, username: true, role: true } } },
+    });
+
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Audit entry not found' });
+    }
+
+    res.status(200).json({ success: true, entry });
+  } catch (error) {
+    console.error('Error fetching audit entry:', error);
+    res.status(500).json({ success: false, message: 'Error fetching audit entry' });
+  }
+});
+
+module.exports = router;
@@ -1,50 +1,207 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
 const authMiddleware = require('../middleware/auth');
+const sessionOnly = require('../middleware/sessionOnly');
 const generateToken = require('../middleware/generateToken');
 const clearAuthCookie = require('../controllers/clearAuthCookie');
+const setAuthCookies = require('../controllers/setAuthCookies');
+const { issueCsrfToken } = require('../middleware/csrf');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+} = require('../services/session.service');
+const { issueAuthToken, consumeAuthToken } = require('../services/authToken.service');
+const { getSetting } = require('../services/settings.service');
+const { sendMail } = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
+const {
+  getIpRetryAfter,
+  isLocked,
+  recordFailure,
+  recordSuccess,
+} = require('../services/loginGuard.service');
+const authorize = require('../middleware/authorize');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+} = require('../services/twoFactor.service');
+const prisma = require('../services/db.service');
+const { hashSecureToken } = require('../utils/secureToken');
 
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
 
-// Create a new user
+// Rate limiting for endpoints that send mail
+const mailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 requests per windowMs
+});
+
+// Coarse limit on top of the per-account and per-IP failure tracking
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 50, // limit each IP to 50 login requests per windowMs
+});
+
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+const sendLocked = (res, user) => {
+  const retryAfter = Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Account is temporarily locked after too many failed attempts',
+    retryAfter,
+  });
+};
+
+// Final step of every login: record it, open a session and set the cookies
+const completeLogin = async (req, res, user) => {
+  await recordSuccess(req, user);
+
+  const { session, refreshToken } = await createSession(user.id, req);
+  setAuthCookies(res, generateToken(user.id, user.role, session.id), refreshToken);
+
+  res.json({
+    success: true,
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      username: user.username,
+      twoFactorEnabled: user.twoFactorEnabled,
+    },
+    twoFactorSetupRequired:
+      !user.twoFactorEnabled && (await isTwoFactorRequired(user.role)),
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user.id, 'EMAIL_VERIFICATION');
+  await sendMail({ to: user.email, ...mailTemplates.emailVerification(token) });
+};
+
+// Create a new user from an invite. Only the very first account may register without one.
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, password, inviteToken } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password are required',
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters',
+      });
+    }
 
-    // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create user
-    const user = await prisma.user.create({
-      data: {
-        username,
-        email,
-        password: hashedPassword,
-        role: role.toUpperCase(),
-      },
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        role: true,
-      },
+    const user = await prisma.$transaction(async (tx) => {
+      let email = req.body.email;
+      let role = 'SUPERADMIN';
+      let invite = null;
+
+      if (inviteToken) {
+        invite = await tx.userInvite.findUnique({
+          where: { tokenHash: hashSecureToken(inviteToken) },
+        });
+
+        // The claim only succeeds while the invite is unused, so two registrations
+        // racing on one token cannot both get through
+        const claimed =
+          invite && invite.expiresAt >= new Date()
+            ? await tx.userInvite.updateMany({
+                where: { id: invite.id, acceptedAt: null },
+                data: { acceptedAt: new Date() },
+              })
+            : { count: 0 };
+
+        if (claimed.count !== 1) {
+          const error = new Error('Invite is invalid or has expired');
+          error.status = 400;
+          throw error;
+        }
+
+        email = invite.email;
+        role = invite.role;
+      } else if ((await tx.user.count()) > 0) {
+        const error = new Error('Registration requires an invite');
+        error.status = 403;
+        throw error;
+      }
+
+      if (!email) {
+        const error = new Error('Email is required');
+        error.status = 400;
+        throw error;
+      }
+
+      const created = await tx.user.create({
+        data: {
+          username,
+          email,
+          password: hashedPassword,
+          role,
+          // Accepting an invite proves ownership of the invited address
+          emailVerified: Boolean(invite),
+        },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          role: true,
+        },
+      });
+
+      return created;
     });
 
-    console.log('User created:', user);
+    if (!inviteToken) {
+      await sendVerificationEmail(user);
+    }
+
     res.status(201).json({ success: true, user });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
     console.error('Registration error:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or email already in use',
+      });
+    }
     res.status(500).json({
       success: false,
-      message: error.message,
+      message: 'Error registering user',
     });
   }
 });
 
 // User login
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -55,11 +212,27 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const retryAfter = await getIpRetryAfter(req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts, try again later',
+        retryAfter,
+      });
+    }
+
     const user = await prisma.user.findUnique({
       where: { email },
     });
 
+    if (isLocked(user)) {
+      await recordFailure(req, { user, email, reason: 'LOCKED' });
+      return sendLocked(res, user);
+    }
+
     if (!user || !(await bcrypt.compare(password, user.password))) {
+      await recordFailure(req, { user, email, reason: 'INVALID_CREDENTIALS' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -67,30 +240,38 @@ router.post('/login', async (req, res) => {
     }
 
     if (!user.isActive) {
+      await recordFailure(req, { user, email, reason: 'INACTIVE' });
       return res.status(401).json({
         success: false,
         message: 'Account is inactive',
       });
     }
 
-    const token = generateToken(user.id, user.role);
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-      path: '/',
-    });
+    if (!user.emailVerified && (await getSetting('auth.requireEmailVerification'))) {
+      await recordFailure(req, { user, email, reason: 'EMAIL_NOT_VERIFIED' });
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in',
+      });
+    }
 
-    res.json({
-      success: true,
-      user: {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        username: user.username,
-      },
-    });
+    // With 2FA on, the password only earns a short-lived challenge for the second step
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { userId: user.id, purpose: '2fa' },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -100,25 +281,436 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Logout user
-router.post('/logout', authMiddleware, (req, res) => {
+// Second login step: a TOTP code or a recovery code
+router.post('/login/2fa', loginLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required',
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired, please sign in again',
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired, please sign in again',
+      });
+    }
+
+    if (isLocked(user)) {
+      await recordFailure(req, { user, email: user.email, reason: 'LOCKED' });
+      return sendLocked(res, user);
+    }
+
+    const valid = recoveryCode
+      ? await consumeRecoveryCode(user.id, recoveryCode)
+      : await verifyTotp(user, code);
+
+    if (!valid) {
+      await recordFailure(req, { user, email: user.email, reason: 'INVALID_2FA_CODE' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during login',
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const token = req.cookies.refreshToken || req.body.refreshToken;
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token required',
+      });
+    }
+
+    const { session, user, refreshToken } = await rotateSession(token, req);
+    setAuthCookies(res, generateToken(user.id, user.role, session.id), refreshToken);
+
+    res.status(200).json({ success: true, message: 'Session refreshed' });
+  } catch (error) {
+    clearAuthCookie(res);
+    if (error.status === 401) {
+      return res.status(401).json({ success: false, message: error.message });
+    }
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while refreshing the session',
+    });
+  }
+});
+
+// Logout user. Works with an expired access token as long as the refresh cookie is present.
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.cookies.refreshToken) {
+      await revokeSessionByToken(req.cookies.refreshToken);
+    } else if (req.cookies.token) {
+      const decoded = jwt.verify(req.cookies.token, process.env.JWT_SECRET, {
+        ignoreExpiration: true,
+      });
+      if (decoded?.sid) await revokeSession(decoded.sid);
+    }
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+
   clearAuthCookie(res);
   res.status(200).json({ success: true, message: 'Logged out successfully' });
 });
 
-// Admin-only route to get all users
-router.get('/users', authMiddleware, async (req, res) => {
+// Request a password reset email. Always answers the same way so emails can't be probed.
+router.post('/forgot-password', mailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user && user.isActive) {
+      const token = await issueAuthToken(user.id, 'PASSWORD_RESET');
+      await sendMail({ to: user.email, ...mailTemplates.passwordReset(token) });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while requesting a password reset',
+    });
+  }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required',
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters',
+      });
+    }
+
+    const userId = await consumeAuthToken(token, 'PASSWORD_RESET');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+      });
+    }
+
+    // The reset link went to the user's inbox, so the address is verified too
+    await prisma.user.update({
+      where: { id: userId },
+      data: { password: await bcrypt.hash(password, 10), emailVerified: true },
+    });
+    await revokeUserSessions(userId);
+
+    res.status(200).json({ success: true, message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while resetting the password',
+    });
+  }
+});
+
+// Confirm an email address
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Token is required' });
+    }
+
+    const userId = await consumeAuthToken(token, 'EMAIL_VERIFICATION');
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerified: true },
+    });
+
+    res.status(200).json({ success: true, message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while verifying the email',
+    });
+  }
+});
+
+// Send a fresh verification email. Public, since unverified users may be unable to log in.
+router.post('/verify-email/resend', mailLimiter, async (req, res) => {
   try {
-    const users = await prisma.user.findMany({
-      select: { id: true, username: true, email: true, role: true },
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user && user.isActive && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If this email needs verifying, a new link has been sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while sending the verification email',
+    });
+  }
+});
+
+// Current 2FA state for the signed-in user
+router.get('/2fa/status', authMiddleware, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      enabled: req.user.twoFactorEnabled,
+      required: await isTwoFactorRequired(req.user.role),
+      recoveryCodesRemaining: req.user.twoFactorEnabled
+        ? await countRecoveryCodes(req.user.id)
+        : 0,
     });
-    res.status(200).json({ success: true, users });
   } catch (error) {
-    console.error('Failed to fetch users:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch users' });
+    console.error('Error fetching 2FA status:', error);
+    res.status(500).json({ success: false, message: 'Error fetching 2FA status' });
   }
 });
 
+// Start 2FA enrollment and return the provisioning URI and QR code
+router.post('/2fa/setup', authMiddleware, sessionOnly, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await startEnrollment(req.user);
+
+    res.status(200).json({ success: true, secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    res.status(500).json({ success: false, message: 'Error starting 2FA setup' });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/enable', authMiddleware, sessionOnly, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the 2FA setup first',
+      });
+    }
+
+    if (!(await verifyTotp(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const recoveryCodes = await enableTwoFactor(user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    res.status(500).json({ success: false, message: 'Error enabling 2FA' });
+  }
+});
+
+// Turn 2FA off. Needs both the password and a current code.
+router.post('/2fa/disable', authMiddleware, sessionOnly, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role',
+      });
+    }
+
+    if (
+      !password ||
+      !(await bcrypt.compare(password, user.password)) ||
+      !(await verifyTotp(user, code))
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code',
+      });
+    }
+
+    await disableTwoFactor(user.id);
+
+    res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({ success: false, message: 'Error disabling 2FA' });
+  }
+});
+
+// Replace the recovery codes
+router.post('/2fa/recovery-codes', authMiddleware, sessionOnly, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await verifyTotp(user, req.body.code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    res.status(200).json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ success: false, message: 'Error regenerating recovery codes' });
+  }
+});
+
+// Login history for admins
+router.get('/login-history', authMiddleware, authorize('user:read'), async (req, res) => {
+  try {
+    const { userId, email, ipAddress, success, from, to } = req.query;
+    const pagination = getPagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+    const where = {};
+    if (userId) where.userId = parseInt(userId);
+    if (email) where.email = email;
+    if (ipAddress) where.ipAddress = ipAddress;
+    if (success !== undefined) where.success = success === 'true';
+    if (from || to) {
+      where.createdAt = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) }),
+      };
+    }
+
+    const [attempts, count] = await Promise.all([
+      prisma.loginAttempt.findMany({
+        where,
+        include: { user: { select: { id: true, username: true, role: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: pagination.skip,
+        take: pagination.limit,
+      }),
+      prisma.loginAttempt.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      attempts,
+      ...paginationMeta(count, pagination),
+    });
+  } catch (error) {
+    console.error('Error fetching login history:', error);
+    res.status(500).json({ success: false, message: 'Error fetching login history' });
+  }
+});
+
+// Token for the X-CSRF-Token header on cookie-authenticated requests
+router.get('/csrf-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ success: true, csrfToken: issueCsrfToken(req, res) });
+});
+
 // Validate token and fetch user details
 router.get('/check', authMiddleware, async (req, res) => {
   try {
@@ -148,6 +740,7 @@ router.get('/check', authMiddleware, async (req, res) => {
         email: user.email,
         role: user.role,
         username: user.username,
+        twoFactorEnabled: user.twoFactorEnabled,
       },
     });
   } catch (error) {
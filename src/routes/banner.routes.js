@@ -1,13 +1,20 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasCapability, sendForbidden } = authorize;
+const imageUpload = require('../middleware/imageUpload');
+const { applySchedule } = require('../services/scheduler.service');
+const { processImage, removeImageFiles } = require('../services/image.service');
 
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
 const router = express.Router();
 
 router.use(authMiddleware);
 
+// A multipart upload carries the image itself; otherwise an external URL is used
 const validateBannerUpload = (req, res, next) => {
+  if (req.file) return next();
+
   const { url, fileName } = req.body;
 
   if (!url) {
@@ -24,7 +31,8 @@ const validateBannerUpload = (req, res, next) => {
   next();
 };
 
-router.post('/upload', validateBannerUpload, async (req, res) => {
+router.post('/upload', authorize('banner:create'), imageUpload('image'), validateBannerUpload, async (req, res) => {
+  let image;
   try {
     const {
       url,
@@ -36,10 +44,23 @@ router.post('/upload', validateBannerUpload, async (req, res) => {
       status,
     } = req.body;
 
+    if (status === 'PUBLISHED' && !hasCapability(req.user, 'banner:publish')) {
+      return sendForbidden(res, ['banner:publish']);
+    }
+
+    image = { url, fileName };
+    if (req.file) {
+      const processed = await processImage(req.file);
+      if (!processed.image) {
+        return res.status(processed.status).json({ success: false, message: processed.message });
+      }
+      const { url, fileName, width, height, variants, dominantColor } = processed.image;
+      image = { url, fileName, width, height, variants, dominantColor };
+    }
+
     const banner = await prisma.banner.create({
       data: {
-        url,
-        fileName,
+        ...image,
         titleEn,
         titleBn,
         descriptionEn,
@@ -60,6 +81,7 @@ router.post('/upload', validateBannerUpload, async (req, res) => {
     res.status(201).json({ success: true, banner });
   } catch (error) {
     console.error('Error uploading banner:', error);
+    await removeImageFiles(image?.variants);
     res.status(500).json({
       success: false,
       message: error.message || 'Banner upload failed',
@@ -67,7 +89,7 @@ router.post('/upload', validateBannerUpload, async (req, res) => {
   }
 });
 
-router.get('/all-banners', async (req, res) => {
+router.get('/all-banners', authorize('banner:read'), async (req, res) => {
   try {
     const banners = await prisma.banner.findMany({
       include: {
@@ -97,15 +119,16 @@ router.get('/all-banners', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('banner:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    await prisma.banner.delete({
+    const banner = await prisma.banner.delete({
       where: {
         id: parseInt(id),
       },
     });
+    await removeImageFiles(banner.variants);
 
     res.status(200).json({
       success: true,
@@ -120,7 +143,7 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-router.patch('/toggle-status/:id', async (req, res) => {
+router.patch('/toggle-status/:id', authorize('banner:publish'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -163,4 +186,28 @@ router.patch('/toggle-status/:id', async (req, res) => {
   }
 });
 
+// Schedule publishing and unpublishing; null clears a time
+router.patch('/schedule/:id', authorize('banner:publish'), async (req, res) => {
+  try {
+    const result = await applySchedule('banner', parseInt(req.params.id), req.body);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Banner not found' });
+    }
+
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Banner schedule updated successfully',
+      banner: result.record,
+    });
+  } catch (error) {
+    console.error('Error scheduling banner:', error);
+    res.status(500).json({ success: false, message: 'Error updating schedule' });
+  }
+});
+
 module.exports = router;
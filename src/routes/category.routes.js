@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
 const xss = require('xss');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 
 // Add auth middleware
 router.use(authMiddleware);
@@ -42,6 +42,7 @@ const validateCategory = async (req, res, next) => {
 // Create a new category
 router.post(
   '/create-categories',
+  authorize('category:create'),
   validateCategory,
   async (req, res) => {
     try {
@@ -83,7 +84,7 @@ router.post(
 );
 
 // Get all categories
-router.get('/categories', async (req, res) => {
+router.get('/categories', authorize('category:read'), async (req, res) => {
   try {
     const categories = await prisma.category.findMany({
       where: {
@@ -114,7 +115,7 @@ router.get('/categories', async (req, res) => {
 });
 
 // Get a specific category by ID
-router.get('/categories/:id', async (req, res) => {
+router.get('/categories/:id', authorize('category:read'), async (req, res) => {
   try {
     const category = await prisma.category.findUnique({
       where: {
@@ -144,6 +145,7 @@ router.get('/categories/:id', async (req, res) => {
 // Update an existing category
 router.put(
   '/categories/:id',
+  authorize('category:update'),
   async (req, res) => {
     try {
       const { nameEn, nameBn, type, isActive } = req.body;
@@ -186,6 +188,7 @@ router.put(
 // Delete a category (soft delete)
 router.delete(
   '/categories/:id',
+  authorize('category:delete'),
   async (req, res) => {
     try {
       const category = await prisma.category.update({
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+
+router.use(authMiddleware);
 
 // Duplicate URL check middleware
 const checkDuplicateUrl = async (req, res, next) => {
@@ -29,7 +32,7 @@ const checkDuplicateUrl = async (req, res, next) => {
   }
 };
 
-router.post('/create-footer-links', checkDuplicateUrl, async (req, res) => {
+router.post('/create-footer-links', authorize('link:create'), checkDuplicateUrl, async (req, res) => {
   try {
     const { position, nameEn, nameBn, url, serial, status } = req.body;
 
@@ -58,7 +61,7 @@ router.post('/create-footer-links', checkDuplicateUrl, async (req, res) => {
   }
 });
 
-router.get('/all-footer-links', async (req, res) => {
+router.get('/all-footer-links', authorize('link:read'), async (req, res) => {
   try {
     const footerLinks = await prisma.footerLink.findMany({
       orderBy: { serial: 'asc' },
@@ -78,7 +81,7 @@ router.get('/all-footer-links', async (req, res) => {
   }
 });
 
-router.get('/footer-links/:id', async (req, res) => {
+router.get('/footer-links/:id', authorize('link:read'), async (req, res) => {
   try {
     const footerLink = await prisma.footerLink.findUnique({
       where: { id: parseInt(req.params.id) },
@@ -98,7 +101,7 @@ router.get('/footer-links/:id', async (req, res) => {
   }
 });
 
-router.patch('/footer-links/:id', checkDuplicateUrl, async (req, res) => {
+router.patch('/footer-links/:id', authorize('link:update'), checkDuplicateUrl, async (req, res) => {
   try {
     const { position, name, url, serial, status } = req.body;
 
@@ -133,7 +136,7 @@ router.patch('/footer-links/:id', checkDuplicateUrl, async (req, res) => {
   }
 });
 
-router.delete('/footer-links/:id', async (req, res) => {
+router.delete('/footer-links/:id', authorize('link:delete'), async (req, res) => {
   try {
     await prisma.footerLink.delete({
       where: { id: parseInt(req.params.id) },
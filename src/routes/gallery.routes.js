@@ -1,12 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasCapability, sendForbidden } = authorize;
+const imageUpload = require('../middleware/imageUpload');
+const { processImage, removeImageFiles } = require('../services/image.service');
+const { workflowForEdit } = require('../services/review.service');
+const {
+  getMediaUsage,
+  rebuildMediaUsage,
+  refreshMediaUsage,
+} = require('../services/mediaUsage.service');
+const {
+  GALLERY_SORT_FIELDS,
+  parseMetadata,
+  parseTagNames,
+  parseIds,
+  buildGalleryFilter,
+  listFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  listTags,
+  ensureTags,
+  updateMetadata,
+  bulkMove,
+  bulkTag,
+  bulkDelete,
+} = require('../services/mediaLibrary.service');
+const { getPagination, paginationMeta } = require('../utils/pagination');
 
 router.use(authMiddleware);
 
+// Multipart form fields arrive as strings
+const isTrue = (value) => value === true || value === 'true';
+
+// Media still referenced by content is only deleted when the caller confirms it.
+// The rich text editor removing an image only vouches for the post it edits
+// (x-editor-post-id or ?postId), so usages anywhere else still need confirm=true.
+const countBlockingUsages = (req, image) => {
+  if (req.query.confirm === 'true') return 0;
+
+  const editorPostId =
+    req.headers['x-delete-from-editor'] === 'true'
+      ? parseInt(req.headers['x-editor-post-id'] || req.query.postId, 10)
+      : NaN;
+
+  return prisma.mediaUsage.count({
+    where: {
+      galleryId: image.id,
+      ...(Number.isInteger(editorPostId) && {
+        NOT: { entityType: 'post', entityId: editorPostId },
+      }),
+    },
+  });
+};
+
+const refuseMediaInUse = async (res, image) =>
+  res.status(409).json({
+    success: false,
+    message: 'Media is in use; pass confirm=true to delete it anyway',
+    usages: await getMediaUsage(image.id),
+  });
+
+// A multipart upload carries the image itself; otherwise an external URL is registered
 const validateImageUpload = (req, res, next) => {
+  if (req.file) return next();
+
   const { url, fileName } = req.body;
 
   console.log('Received upload request:', req.body);
@@ -23,7 +84,8 @@ const validateImageUpload = (req, res, next) => {
   next();
 };
 
-router.post('/upload', validateImageUpload, async (req, res) => {
+router.post('/upload', authorize('gallery:upload'), imageUpload('image'), validateImageUpload, async (req, res) => {
+  let image;
   try {
     const {
       url,
@@ -36,14 +98,39 @@ router.post('/upload', validateImageUpload, async (req, res) => {
 
     const userId = req.user.userId;
 
+    const { names: tags, error: tagError } = parseTagNames(req.body.tags);
+    if (tagError) {
+      return res.status(400).json({ success: false, message: tagError });
+    }
+    const { data: metadata, error: metadataError } = parseMetadata(req.body);
+    if (metadataError) {
+      return res.status(400).json({ success: false, message: metadataError });
+    }
+
+    const folderId = req.body.folderId ? parseInt(req.body.folderId) : null;
+    if (Number.isNaN(folderId)) {
+      return res.status(400).json({ success: false, message: 'folderId must be a folder id' });
+    }
+
+    image = { url, fileName };
+    if (req.file) {
+      const processed = await processImage(req.file);
+      if (!processed.image) {
+        return res.status(processed.status).json({ success: false, message: processed.message });
+      }
+      image = processed.image;
+    }
+
     const gallery = await prisma.gallery.create({
       data: {
-        url,
-        fileName,
+        ...image,
         fileType,
-        isPost,
-        isCover,
+        isPost: isTrue(isPost),
+        isCover: isTrue(isCover),
         status,
+        ...metadata,
+        ...(folderId && { folder: { connect: { id: folderId } } }),
+        ...(tags.length && { tags: { connect: (await ensureTags(tags)).map(({ id }) => ({ id })) } }),
         uploadedBy: { connect: { id: userId } },
       },
       include: {
@@ -54,6 +141,8 @@ router.post('/upload', validateImageUpload, async (req, res) => {
             role: true,
           },
         },
+        folder: true,
+        tags: true,
       },
     });
 
@@ -63,10 +152,11 @@ router.post('/upload', validateImageUpload, async (req, res) => {
     });
   } catch (error) {
     console.error('Error uploading image:', error);
+    await removeImageFiles(image?.variants);
     if (error.code === 'P2025') {
       return res.status(404).json({
         success: false,
-        message: 'Related post not found',
+        message: 'Folder not found',
       });
     }
     res.status(500).json({
@@ -76,30 +166,45 @@ router.post('/upload', validateImageUpload, async (req, res) => {
   }
 });
 
-router.get('/images', async (req, res) => {
+// Media library listing, filterable by folder, tag, uploader, type, date and text
+router.get('/images', authorize('gallery:read'), async (req, res) => {
   try {
-    const images = await prisma.gallery.findMany({
-      where: {
-        isPost: false, // Filter images with isPost set to false
-      },
-      include: {
-        uploadedBy: {
-          select: {
-            id: true,
-            username: true,
-            role: true,
+    const { where, error } = await buildGalleryFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const sort = GALLERY_SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+    const pagination = getPagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+    const [images, total] = await Promise.all([
+      prisma.gallery.findMany({
+        where,
+        include: {
+          uploadedBy: {
+            select: {
+              id: true,
+              username: true,
+              role: true,
+            },
           },
+          folder: { select: { id: true, name: true } },
+          tags: { select: { id: true, name: true } },
+          _count: { select: { usages: true } },
         },
-      },
-      orderBy: {
-        createdAt: 'desc', // Order images by createdAt in descending order
-      },
-    });
+        orderBy: [{ [sort]: order }, { id: order }],
+        skip: pagination.skip,
+        take: pagination.limit,
+      }),
+      prisma.gallery.count({ where }),
+    ]);
 
     res.status(200).json({
       success: true,
       count: images.length,
       images,
+      ...paginationMeta(total, pagination),
     });
   } catch (error) {
     console.error('Error fetching images:', error);
@@ -111,7 +216,7 @@ router.get('/images', async (req, res) => {
 });
 
 // Change endpoint path to match the frontend request
-router.get('/by-url', async (req, res) => {
+router.get('/by-url', authorize('gallery:read'), async (req, res) => {
   try {
     const { url } = req.query;
 
@@ -167,7 +272,7 @@ router.get('/by-url', async (req, res) => {
 });
 
 // Add new endpoint for deleting by URL
-router.delete('/by-url', async (req, res) => {
+router.delete('/by-url', authorize('gallery:delete'), async (req, res) => {
   try {
     const { url } = req.query;
 
@@ -178,14 +283,9 @@ router.delete('/by-url', async (req, res) => {
       });
     }
 
-    // Try to find the image
+    // MySQL's default collation already compares case-insensitively
     const image = await prisma.gallery.findFirst({
-      where: {
-        url: {
-          equals: decodeURIComponent(url),
-          mode: 'insensitive', // Case insensitive comparison
-        },
-      },
+      where: { url: decodeURIComponent(url) },
     });
 
     if (!image) {
@@ -197,10 +297,15 @@ router.delete('/by-url', async (req, res) => {
       });
     }
 
+    if (await countBlockingUsages(req, image)) {
+      return refuseMediaInUse(res, image);
+    }
+
     // Delete the image
     await prisma.gallery.delete({
       where: { id: image.id },
     });
+    await removeImageFiles(image.variants);
 
     res.status(200).json({
       success: true,
@@ -208,15 +313,14 @@ router.delete('/by-url', async (req, res) => {
     });
   } catch (error) {
     console.error('Error deleting image by URL:', error);
-    // Still return success to frontend as the image is already removed from content
-    res.status(200).json({
-      success: true,
-      message: 'Image removed from content',
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete image',
     });
   }
 });
 
-router.delete('/image/:id', async (req, res) => {
+router.delete('/image/:id', authorize('gallery:delete'), async (req, res) => {
   try {
     // First check if image exists
     const image = await prisma.gallery.findUnique({
@@ -230,28 +334,23 @@ router.delete('/image/:id', async (req, res) => {
       });
     }
 
-    // Allow deletion if:
-    // 1. Image is not attached to a post (postId is null) OR
-    // 2. Request header indicates deletion is from rich text editor
-    const isFromEditor = req.headers['x-delete-from-editor'] === 'true';
-
-    if (image.postId && !isFromEditor) {
-      return res.status(403).json({
-        success: false,
-        message: 'Cannot delete media attached to a post',
-      });
+    const usageCount = await prisma.mediaUsage.count({ where: { galleryId: image.id } });
+    if (usageCount && (await countBlockingUsages(req, image))) {
+      return refuseMediaInUse(res, image);
     }
 
-    // If checks pass, delete the image
+    // Usage rows go with the image; the content keeps its now dangling URLs
     await prisma.gallery.delete({
       where: {
         id: parseInt(req.params.id),
       },
     });
+    await removeImageFiles(image.variants);
 
     res.status(200).json({
       success: true,
       message: 'Media deleted successfully',
+      detachedUsages: usageCount,
     });
   } catch (error) {
     console.error('Error deleting media:', error);
@@ -262,20 +361,42 @@ router.delete('/image/:id', async (req, res) => {
   }
 });
 
-router.patch('/image/:id/set-cover', async (req, res) => {
+// Use an image as a post's cover; the usage table picks it up from Post.coverImage
+router.patch('/image/:id/set-cover', authorize('gallery:update', 'post:update'), async (req, res) => {
   try {
-    const { postId } = req.body;
+    const postId = parseInt(req.body.postId);
     const imageId = parseInt(req.params.id);
 
-    // First, remove cover flag from any existing cover image for this post
-    await prisma.gallery.updateMany({
-      where: {
-        post: { id: parseInt(postId) },
-        isCover: true,
-      },
-      data: {
-        isCover: false,
-      },
+    const image = await prisma.gallery.findUnique({ where: { id: imageId } });
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
+    }
+
+    const existingPost = Number.isInteger(postId)
+      ? await prisma.post.findUnique({
+          where: { id: postId },
+          select: { status: true, workflowState: true, publishAt: true },
+        })
+      : null;
+    if (!existingPost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    const workflow = workflowForEdit(existingPost, hasCapability(req.user, 'post:publish'));
+    if (!workflow) {
+      return sendForbidden(res, ['post:publish']);
+    }
+
+    const post = await prisma.post.update({
+      where: { id: postId },
+      data: { coverImage: image.url, ...workflow },
+      select: { id: true, coverImage: true },
     });
 
     // Set the new cover image
@@ -290,9 +411,16 @@ router.patch('/image/:id/set-cover', async (req, res) => {
       success: true,
       message: 'Cover image updated successfully',
       image: updatedImage,
+      post,
     });
   } catch (error) {
     console.error('Error updating cover image:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update cover image',
@@ -300,7 +428,8 @@ router.patch('/image/:id/set-cover', async (req, res) => {
   }
 });
 
-router.patch('/update-post/:postId', async (req, res) => {
+// Mark an image as post media and rescan the post so its usage is recorded
+router.patch('/update-post/:postId', authorize('gallery:update', 'post:update'), async (req, res) => {
   try {
     const { url } = req.body;
     const postId = parseInt(req.params.postId);
@@ -317,24 +446,25 @@ router.patch('/update-post/:postId', async (req, res) => {
       });
     }
 
-    // Then update it with the new post information
+    const post = await prisma.post.findUnique({ where: { id: postId } });
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
     const updatedImage = await prisma.gallery.update({
       where: { id: image.id },
-      data: {
-        isPost: true,
-        post: {
-          connect: { id: postId },
-        },
-      },
-      include: {
-        post: true,
-      },
+      data: { isPost: true },
     });
+    await refreshMediaUsage('post', post.id, post);
 
     res.json({
       success: true,
       message: 'Image updated successfully',
       image: updatedImage,
+      usages: await getMediaUsage(image.id),
     });
   } catch (error) {
     console.error('Error updating image post:', error);
@@ -346,4 +476,254 @@ router.patch('/update-post/:postId', async (req, res) => {
   }
 });
 
+// Where a gallery item is referenced
+router.get('/image/:id/usage', authorize('gallery:read'), async (req, res) => {
+  try {
+    const image = await prisma.gallery.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, url: true, fileName: true },
+    });
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
+    }
+
+    const usages = await getMediaUsage(image.id);
+    res.status(200).json({
+      success: true,
+      image,
+      inUse: usages.length > 0,
+      usages,
+    });
+  } catch (error) {
+    console.error('Error fetching media usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch media usage',
+    });
+  }
+});
+
+// Rescan all posts, pages and banners for gallery references
+router.post('/usage/rebuild', authorize('gallery:update'), async (req, res) => {
+  try {
+    const scanned = await rebuildMediaUsage();
+    res.status(200).json({
+      success: true,
+      message: 'Media usage rebuilt successfully',
+      scanned,
+    });
+  } catch (error) {
+    console.error('Error rebuilding media usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rebuild media usage',
+    });
+  }
+});
+
+// Edit alt text, caption, credit, license, folder and tags of one item
+router.patch('/image/:id', authorize('gallery:update'), async (req, res) => {
+  try {
+    const result = await updateMetadata(parseInt(req.params.id), req.body);
+
+    if (!result.image) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Media updated successfully',
+      image: result.image,
+    });
+  } catch (error) {
+    console.error('Error updating media:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ success: false, message: 'Image not found' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to update media' });
+  }
+});
+
+// Folders, flat with parentId and item counts
+router.get('/folders', authorize('gallery:read'), async (req, res) => {
+  try {
+    const folders = await listFolders();
+    res.status(200).json({ success: true, folders });
+  } catch (error) {
+    console.error('Error fetching folders:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch folders' });
+  }
+});
+
+router.post('/folders', authorize('gallery:update'), async (req, res) => {
+  try {
+    const result = await createFolder({
+      name: req.body.name,
+      parentId: req.body.parentId ? parseInt(req.body.parentId) : null,
+      userId: req.user.id,
+    });
+
+    if (!result.folder) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({ success: true, folder: result.folder });
+  } catch (error) {
+    console.error('Error creating folder:', error);
+    res.status(500).json({ success: false, message: 'Failed to create folder' });
+  }
+});
+
+// Rename a folder or move it under another one (parentId: null for the top level)
+router.patch('/folders/:id', authorize('gallery:update'), async (req, res) => {
+  try {
+    const { parentId } = req.body;
+    const result = await updateFolder(parseInt(req.params.id), {
+      name: req.body.name,
+      parentId: parentId === undefined || parentId === null ? parentId : parseInt(parentId),
+    });
+
+    if (!result.folder) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder updated successfully',
+      folder: result.folder,
+    });
+  } catch (error) {
+    console.error('Error updating folder:', error);
+    res.status(500).json({ success: false, message: 'Failed to update folder' });
+  }
+});
+
+// Delete a folder; its items and subfolders move to the parent folder
+router.delete('/folders/:id', authorize('gallery:update'), async (req, res) => {
+  try {
+    const result = await deleteFolder(parseInt(req.params.id));
+
+    if (!result.folder) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder deleted successfully',
+      movedItems: result.movedItems,
+      movedFolders: result.movedFolders,
+    });
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete folder' });
+  }
+});
+
+// Tags with the number of items carrying them
+router.get('/tags', authorize('gallery:read'), async (req, res) => {
+  try {
+    const tags = await listTags();
+    res.status(200).json({ success: true, tags });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch tags' });
+  }
+});
+
+// Remove a tag from every item
+router.delete('/tags/:id', authorize('gallery:update'), async (req, res) => {
+  try {
+    await prisma.mediaTag.delete({ where: { id: parseInt(req.params.id) } });
+    res.status(200).json({ success: true, message: 'Tag deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ success: false, message: 'Tag not found' });
+    }
+    res.status(500).json({ success: false, message: 'Failed to delete tag' });
+  }
+});
+
+// Bulk operations take { ids: [...] } plus their own options
+const loadBulkIds = (req, res, next) => {
+  const { ids, error } = parseIds(req.body.ids);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  req.bulkIds = ids;
+  next();
+};
+
+// Move items into a folder (folderId: null to unfile them)
+router.post('/bulk/move', authorize('gallery:update'), loadBulkIds, async (req, res) => {
+  try {
+    const folderId = req.body.folderId ? parseInt(req.body.folderId) : null;
+    const result = await bulkMove(req.bulkIds, folderId);
+
+    if (result.count === undefined) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Media moved successfully',
+      count: result.count,
+    });
+  } catch (error) {
+    console.error('Error moving media:', error);
+    res.status(500).json({ success: false, message: 'Failed to move media' });
+  }
+});
+
+// Add and/or remove tags: { ids, add: [...], remove: [...] }
+router.post('/bulk/tag', authorize('gallery:update'), loadBulkIds, async (req, res) => {
+  try {
+    const add = parseTagNames(req.body.add);
+    const remove = parseTagNames(req.body.remove);
+    const error = add.error || remove.error;
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (!add.names.length && !remove.names.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to do: add or remove at least one tag',
+      });
+    }
+
+    const { count } = await bulkTag(req.bulkIds, { add: add.names, remove: remove.names });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags updated successfully',
+      count,
+    });
+  } catch (error) {
+    console.error('Error tagging media:', error);
+    res.status(500).json({ success: false, message: 'Failed to update tags' });
+  }
+});
+
+// Delete items; those still used by content are skipped unless confirm is true
+router.post('/bulk/delete', authorize('gallery:delete'), loadBulkIds, async (req, res) => {
+  try {
+    const result = await bulkDelete(req.bulkIds, { confirm: req.body.confirm === true });
+
+    res.status(200).json({
+      success: true,
+      message: result.skipped.length
+        ? 'Some media is in use and was not deleted; pass confirm=true to delete it anyway'
+        : 'Media deleted successfully',
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete media' });
+  }
+});
+
 module.exports = router;
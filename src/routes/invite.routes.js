@@ -0,0 +1,140 @@
+const express = require('express');
+const prisma = require('../services/db.service');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { sendForbidden } = authorize;
+const { ROLES, canManageRole } = require('../services/permission.service');
+const { createSecureToken, hashSecureToken } = require('../utils/secureToken');
+const { sendMail } = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
+
+const router = express.Router();
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Public route: look up a pending invite so the registration form can prefill it
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const invite = await prisma.userInvite.findUnique({
+      where: { tokenHash: hashSecureToken(req.params.token) },
+      select: { email: true, role: true, expiresAt: true, acceptedAt: true },
+    });
+
+    if (!invite || invite.acceptedAt || invite.expiresAt < new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite is invalid or has expired',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      invite: { email: invite.email, role: invite.role, expiresAt: invite.expiresAt },
+    });
+  } catch (error) {
+    console.error('Error verifying invite:', error);
+    res.status(500).json({ success: false, message: 'Error verifying invite' });
+  }
+});
+
+router.use(authMiddleware);
+
+// Create an invite for a new user
+router.post('/', authorize('user:manage'), async (req, res) => {
+  try {
+    const { email } = req.body;
+    const role = (req.body.role || 'EDITOR').toUpperCase();
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role',
+      });
+    }
+
+    if (!canManageRole(req.user.role, role)) {
+      return sendForbidden(res, ['user:manage']);
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists',
+      });
+    }
+
+    const token = createSecureToken();
+
+    const invite = await prisma.userInvite.create({
+      data: {
+        email,
+        role,
+        tokenHash: hashSecureToken(token),
+        invitedById: req.user.id,
+        expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+      },
+      select: { id: true, email: true, role: true, expiresAt: true, createdAt: true },
+    });
+
+    await sendMail({ to: email, ...mailTemplates.invite(token, role) });
+
+    res.status(201).json({
+      success: true,
+      invite,
+      inviteToken: token,
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({ success: false, message: 'Error creating invite' });
+  }
+});
+
+// List pending invites
+router.get('/', authorize('user:read'), async (req, res) => {
+  try {
+    const invites = await prisma.userInvite.findMany({
+      where: { acceptedAt: null, expiresAt: { gt: new Date() } },
+      select: {
+        id: true,
+        email: true,
+        role: true,
+        expiresAt: true,
+        createdAt: true,
+        invitedBy: { select: { id: true, username: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.status(200).json({ success: true, invites });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({ success: false, message: 'Error fetching invites' });
+  }
+});
+
+// Revoke a pending invite
+router.delete('/:id', authorize('user:manage'), async (req, res) => {
+  try {
+    await prisma.userInvite.delete({
+      where: { id: parseInt(req.params.id) },
+    });
+
+    res.status(200).json({ success: true, message: 'Invite revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ success: false, message: 'Invite not found' });
+    }
+    res.status(500).json({ success: false, message: 'Error revoking invite' });
+  }
+});
+
+module.exports = router;
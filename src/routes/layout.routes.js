@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 
 // Add auth middleware
 router.use(authMiddleware);
 
 // Get all layouts
-router.get('/all-layouts', async (req, res) => {
+router.get('/all-layouts', authorize('layout:read'), async (req, res) => {
   try {
     const layouts = await prisma.layout.findMany({
       orderBy: {
@@ -40,7 +40,7 @@ router.get('/all-layouts', async (req, res) => {
 });
 
 // Create new layout
-router.post('/create', async (req, res) => {
+router.post('/create', authorize('layout:create'), async (req, res) => {
   try {
     const { name, identifier, content } = req.body;
     
@@ -96,7 +96,7 @@ router.post('/create', async (req, res) => {
 });
 
 // Update layout
-router.put('/update/:id', async (req, res) => {
+router.put('/update/:id', authorize('layout:update'), async (req, res) => {
   try {
     const layoutId = parseInt(req.params.id);
     
@@ -158,7 +158,7 @@ router.put('/update/:id', async (req, res) => {
 });
 
 // Delete layout
-router.delete('/delete/:id', async (req, res) => {
+router.delete('/delete/:id', authorize('layout:delete'), async (req, res) => {
   try {
     const layoutId = parseInt(req.params.id);
     
@@ -195,7 +195,7 @@ router.delete('/delete/:id', async (req, res) => {
 });
 
 // Toggle layout status
-router.patch('/toggle-status/:id', async (req, res) => {
+router.patch('/toggle-status/:id', authorize('layout:update'), async (req, res) => {
   try {
     const layoutId = parseInt(req.params.id);
     
@@ -0,0 +1,77 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const {
+  listLocales,
+  getActiveLocales,
+  saveLocale,
+  deleteLocale,
+} = require('../services/locale.service');
+const { getCompleteness } = require('../services/translation.service');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// List every locale, active or not
+router.get('/', async (req, res) => {
+  try {
+    const locales = await listLocales();
+    res.status(200).json({ success: true, locales });
+  } catch (error) {
+    console.error('Error fetching locales:', error);
+    res.status(500).json({ success: false, message: 'Error fetching locales' });
+  }
+});
+
+// Share of content with every required field translated, per locale and type
+router.get('/completeness', authorize('post:read', 'page:read'), async (req, res) => {
+  try {
+    const report = await getCompleteness(await getActiveLocales());
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('Error building completeness report:', error);
+    res.status(500).json({ success: false, message: 'Error building completeness report' });
+  }
+});
+
+// Create or update a locale
+router.put('/:code', authorize('locale:manage'), async (req, res) => {
+  try {
+    const { locale, created, error } = await saveLocale(
+      req.params.code.toLowerCase(),
+      req.body
+    );
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: `Locale ${created ? 'created' : 'updated'} successfully`,
+      locale,
+    });
+  } catch (error) {
+    console.error('Error saving locale:', error);
+    res.status(500).json({ success: false, message: 'Error saving locale' });
+  }
+});
+
+// Delete a locale and its translations
+router.delete('/:code', authorize('locale:manage'), async (req, res) => {
+  try {
+    const result = await deleteLocale(req.params.code.toLowerCase());
+
+    if (!result.deleted) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({ success: true, message: 'Locale deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting locale:', error);
+    res.status(500).json({ success: false, message: 'Error deleting locale' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { collectGarbage } = require('../services/mediaCleanup.service');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Grace period from the request, falling back to the media.orphanGraceHours setting
+const parseGraceHours = (value) => {
+  if (value === undefined || value === null || value === '') return { graceHours: undefined };
+  const graceHours = Number(value);
+  if (!Number.isFinite(graceHours) || graceHours < 0) {
+    return { error: 'graceHours must be a non-negative number' };
+  }
+  return { graceHours };
+};
+
+const runCleanup = async (res, { dryRun, graceHours }) => {
+  const parsed = parseGraceHours(graceHours);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
+  }
+
+  const report = await collectGarbage({ dryRun, graceHours: parsed.graceHours });
+  if (!report) {
+    return res.status(409).json({
+      success: false,
+      message: 'A media cleanup is already in progress',
+    });
+  }
+
+  res.status(200).json({ success: true, ...report });
+};
+
+// Report orphaned gallery rows and unreferenced files without deleting anything
+router.get('/orphans', authorize('media:cleanup'), async (req, res) => {
+  try {
+    await runCleanup(res, { dryRun: true, graceHours: req.query.graceHours });
+  } catch (error) {
+    console.error('Error finding orphaned media:', error);
+    res.status(500).json({ success: false, message: 'Error finding orphaned media' });
+  }
+});
+
+// Delete orphaned media older than the grace period. Only reports unless the
+// body explicitly says dryRun: false.
+router.post('/cleanup', authorize('media:cleanup'), async (req, res) => {
+  try {
+    await runCleanup(res, {
+      dryRun: ![false, 'false'].includes(req.body?.dryRun),
+      graceHours: req.body?.graceHours,
+    });
+  } catch (error) {
+    console.error('Error cleaning up media:', error);
+    res.status(500).json({ success: false, message: 'Error cleaning up media' });
+  }
+});
+
+module.exports = router;
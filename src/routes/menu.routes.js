@@ -1,10 +1,10 @@
 const express = require('express');
-const { PrismaClient } = require('@prisma/client');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
 const router = express.Router();
 
 // Public route: Fetch all active menu items
@@ -103,7 +103,7 @@ const checkDuplicateTitle = async (req, res, next) => {
 };
 
 // Protected route: Create a new menu
-router.post('/create-menu', createMenuLimiter, validateMenuInput, checkDuplicateTitle, async (req, res) => {
+router.post('/create-menu', createMenuLimiter, authorize('menu:create'), validateMenuInput, checkDuplicateTitle, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -136,7 +136,7 @@ router.post('/create-menu', createMenuLimiter, validateMenuInput, checkDuplicate
 });
 
 // Protected route: Get all active menu items
-router.get('/get-all-menu-items',  async (req, res) => {
+router.get('/get-all-menu-items', authorize('menu:read'), async (req, res) => {
   try {
     const menuItems = await prisma.menu.findMany({
       where: { isActive: true },
@@ -152,7 +152,7 @@ router.get('/get-all-menu-items',  async (req, res) => {
 });
 
 // Protected route: Get all active menu items based on query parameter
-router.get('/get-all-active-menu-items', async (req, res) => {
+router.get('/get-all-active-menu-items', authorize('menu:read'), async (req, res) => {
   try {
     // Check if `isActive` is provided in the query
     const isActive = req.query.isActive === 'true'; // Convert query string to boolean
@@ -171,7 +171,7 @@ router.get('/get-all-active-menu-items', async (req, res) => {
 });
 
 // Protected route: Get single menu item
-router.get('/get-menu/:id', async (req, res) => {
+router.get('/get-menu/:id', authorize('menu:read'), async (req, res) => {
   try {
     const menuId = parseInt(req.params.id);
     const menuItem = await prisma.menu.findUnique({
@@ -199,7 +199,7 @@ router.get('/get-menu/:id', async (req, res) => {
 });
 
 // Protected route: Update menu
-router.patch('/update-menu/:id', validateMenuInput, checkDuplicateTitle, async (req, res) => {
+router.patch('/update-menu/:id', authorize('menu:update'), validateMenuInput, checkDuplicateTitle, async (req, res) => {
   try {
     const menuId = parseInt(req.params.id);
     const updatedMenu = await prisma.menu.update({
@@ -217,7 +217,7 @@ router.patch('/update-menu/:id', validateMenuInput, checkDuplicateTitle, async (
 });
 
 // Protected route: Delete menu
-router.delete('/delete-menu-item/:id', async (req, res) => {
+router.delete('/delete-menu-item/:id', authorize('menu:delete'), async (req, res) => {
   try {
     const menuId = parseInt(req.params.id);
     
@@ -6,7 +6,29 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasCapability, sendForbidden } = authorize;
 const fs = require('fs').promises;
+const {
+  getTemplate,
+  saveTemplate,
+  listVersions,
+  getVersion,
+  compareVersions,
+  rollbackTemplate,
+} = require('../services/pageTemplate.service');
+const { isActiveLocale } = require('../services/locale.service');
+const { workflowFor, workflowForEdit } = require('../services/review.service');
+const { createPreviewToken } = require('../services/preview.service');
+const {
+  findUpload,
+  createUpload,
+  getUploadStatus,
+  putChunk,
+  completeUpload,
+  abortUpload,
+} = require('../services/templateUpload.service');
+const { applySchedule } = require('../services/scheduler.service');
 
 const createPageValidation = [
   body('name').trim().isLength({ min: 2, max: 100 }),
@@ -30,7 +52,7 @@ const limiter = rateLimit({
 router.use(authMiddleware);
 
 // Create a new page
-router.post('/create', limiter, createPageValidation, async (req, res) => {
+router.post('/create', limiter, authorize('page:create'), createPageValidation, async (req, res) => {
   try {
     const { name, titleEn, titleBn, slug, layout } = req.body;
     
@@ -96,7 +118,7 @@ router.post('/create', limiter, createPageValidation, async (req, res) => {
 });
 
 // Get all pages
-router.get('/all-pages', async (req, res) => {
+router.get('/all-pages', authorize('page:read'), async (req, res) => {
   try {
     const pages = await prisma.page.findMany({
       include: {
@@ -130,7 +152,7 @@ router.get('/all-pages', async (req, res) => {
 });
 
 // Get a single page by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('page:read'), async (req, res) => {
   try {
     const page = await prisma.page.findUnique({
       where: { id: parseInt(req.params.id) },
@@ -158,11 +180,34 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Load the workflow fields an edit of the page has to save into req.pageWorkflow,
+// refusing edits to published pages from editors who cannot publish
+const checkPageEdit = async (req, res, next) => {
+  try {
+    const page = await prisma.page.findUnique({
+      where: { id: req.templateUpload?.pageId ?? parseInt(req.params.id) },
+      select: { status: true, workflowState: true, publishAt: true },
+    });
+    if (!page) {
+      return res.status(404).json({ success: false, message: 'Page not found' });
+    }
+
+    req.pageWorkflow = workflowForEdit(page, hasCapability(req.user, 'page:publish'));
+    if (!req.pageWorkflow) {
+      return sendForbidden(res, ['page:publish']);
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking page edit:', error);
+    res.status(500).json({ success: false, message: 'Error checking page' });
+  }
+};
+
 // Update template endpoint
-router.put('/update-template/:id', async (req, res) => {
+router.put('/update-template/:id', authorize('page:update'), checkPageEdit, async (req, res) => {
   try {
     const { id } = req.params;
-    const { template, language } = req.body;
+    const { template, language, note } = req.body;
 
     // Validate template content
     if (!template || !template.html) {
@@ -173,33 +218,31 @@ router.put('/update-template/:id', async (req, res) => {
     }
 
     // Validate language
-    if (!['en', 'bn'].includes(language)) {
+    if (!(await isActiveLocale(language))) {
       return res.status(400).json({
         success: false,
         message: 'Invalid language specified'
       });
     }
 
-    const templateField = language === 'en' ? 'templateEn' : 'templateBn';
-
-    const updatedPage = await prisma.page.update({
-      where: { id: parseInt(id) },
-      data: {
-        [templateField]: {
-          content: template,
-          lastModified: new Date()
-        },
-        metadata: {
-          lastModifiedBy: req.user.id,
-          updatedAt: new Date()
-        }
-      }
+    const saved = await saveTemplate(parseInt(id), language, template, {
+      userId: req.user.id,
+      note: note ? String(note).slice(0, 255) : undefined,
+      workflow: req.pageWorkflow,
     });
 
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Template updated successfully',
-      page: updatedPage
+      page: saved.page,
+      version: saved.version.version
     });
   } catch (error) {
     console.error('Error updating template:', error);
@@ -212,25 +255,20 @@ router.put('/update-template/:id', async (req, res) => {
 });
 
 // Add template retrieval endpoint
-router.get('/template/:id/:language', async (req, res) => {
+router.get('/template/:id/:language', authorize('page:read'), async (req, res) => {
   try {
     const { id, language } = req.params;
 
-    if (!['en', 'bn'].includes(language)) {
+    if (!(await isActiveLocale(language))) {
       return res.status(400).json({
         success: false,
         message: 'Invalid language specified'
       });
     }
 
-    const templateField = language === 'en' ? 'templateEn' : 'templateBn';
-
-    const page = await prisma.page.findUnique({
-      where: { id: parseInt(id) },
-      select: { [templateField]: true }
-    });
+    const template = await getTemplate(parseInt(id), language);
 
-    if (!page) {
+    if (template === undefined) {
       return res.status(404).json({
         success: false,
         message: 'Page not found'
@@ -239,7 +277,7 @@ router.get('/template/:id/:language', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      template: page[templateField]
+      template
     });
   } catch (error) {
     console.error('Error fetching template:', error);
@@ -251,8 +289,115 @@ router.get('/template/:id/:language', async (req, res) => {
   }
 });
 
+// Validate the language param of the template version routes
+const checkTemplateLanguage = async (req, res, next) => {
+  try {
+    if (!(await isActiveLocale(req.params.language))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid language specified'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking template language:', error);
+    res.status(500).json({ success: false, message: 'Error checking template language' });
+  }
+};
+
+// List saved versions of a page template
+router.get('/:id/template-versions/:language', authorize('page:read'), checkTemplateLanguage, async (req, res) => {
+  try {
+    const versions = await listVersions(parseInt(req.params.id), req.params.language);
+    res.status(200).json({ success: true, versions });
+  } catch (error) {
+    console.error('Error fetching template versions:', error);
+    res.status(500).json({ success: false, message: 'Error fetching template versions' });
+  }
+});
+
+// Compare two template versions
+router.get('/:id/template-versions/:language/compare', authorize('page:read'), checkTemplateLanguage, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to versions are required'
+      });
+    }
+
+    const pageId = parseInt(req.params.id);
+    const [fromVersion, toVersion] = await Promise.all([
+      getVersion(pageId, req.params.language, parseInt(from)),
+      getVersion(pageId, req.params.language, parseInt(to)),
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ success: false, message: 'Template version not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      from: fromVersion.version,
+      to: toVersion.version,
+      changes: compareVersions(fromVersion, toVersion),
+    });
+  } catch (error) {
+    console.error('Error comparing template versions:', error);
+    res.status(500).json({ success: false, message: 'Error comparing template versions' });
+  }
+});
+
+// Get a single template version
+router.get('/:id/template-versions/:language/:version', authorize('page:read'), checkTemplateLanguage, async (req, res) => {
+  try {
+    const version = await getVersion(
+      parseInt(req.params.id),
+      req.params.language,
+      parseInt(req.params.version)
+    );
+
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Template version not found' });
+    }
+
+    res.status(200).json({ success: true, version });
+  } catch (error) {
+    console.error('Error fetching template version:', error);
+    res.status(500).json({ success: false, message: 'Error fetching template version' });
+  }
+});
+
+// Roll the page template back to an earlier version
+router.post('/:id/template-versions/:language/:version/rollback', authorize('page:update'), checkTemplateLanguage, checkPageEdit, async (req, res) => {
+  try {
+    const saved = await rollbackTemplate(
+      parseInt(req.params.id),
+      req.params.language,
+      parseInt(req.params.version),
+      { userId: req.user.id, workflow: req.pageWorkflow }
+    );
+
+    if (!saved) {
+      return res.status(404).json({ success: false, message: 'Template version not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template rolled back successfully',
+      page: saved.page,
+      version: saved.version.version,
+    });
+  } catch (error) {
+    console.error('Error rolling back template:', error);
+    res.status(500).json({ success: false, message: 'Error rolling back template' });
+  }
+});
+
 // Delete a page by ID
-router.delete('/delete/:id', async (req, res) => {
+router.delete('/delete/:id', authorize('page:delete'), async (req, res) => {
   try {
     const deletedPage = await prisma.page.delete({
       where: { id: parseInt(req.params.id) },
@@ -273,7 +418,7 @@ router.delete('/delete/:id', async (req, res) => {
 });
 
 // Update a page
-router.put('/update/:id', createPageValidation, async (req, res) => {
+router.put('/update/:id', authorize('page:update'), createPageValidation, checkPageEdit, async (req, res) => {
   try {
     const { id } = req.params;
     const { titleEn, titleBn, slug, layout } = req.body;
@@ -306,11 +451,11 @@ router.put('/update/:id', createPageValidation, async (req, res) => {
         titleBn,
         slug,
         layout: { connect: { id: layout } },
+        ...req.pageWorkflow,
         metadata: {
-          update: {
-            lastModifiedBy: req.user._id,
-            updatedAt: new Date(),
-          },
+          ...existingPage.metadata,
+          lastModifiedBy: req.user.id,
+          updatedAt: new Date(),
         },
       },
       include: { layout: true },
@@ -331,72 +476,122 @@ router.put('/update/:id', createPageValidation, async (req, res) => {
   }
 });
 
-// Add chunked template update endpoint
-router.put(
-  '/update-template/:id/chunk',
+// Start a resumable template upload
+router.post('/:id/template-uploads', authorize('page:update'), async (req, res) => {
+  try {
+    const { language, totalChunks, checksum, note } = req.body;
+
+    const result = await createUpload(parseInt(req.params.id), {
+      language,
+      totalChunks: parseInt(totalChunks),
+      checksum,
+      note: note ? String(note).slice(0, 255) : undefined,
+      userId: req.user.id,
+    });
 
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-      const { chunk, index, total, language } = req.body;
+    if (!result.upload) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
 
-      // Store chunk in memory or temporary storage
-      if (!global.templateChunks) {
-        global.templateChunks = {};
-      }
-      if (!global.templateChunks[id]) {
-        global.templateChunks[id] = [];
-      }
+    res.status(201).json({
+      success: true,
+      uploadId: result.upload.id,
+      totalChunks: result.upload.totalChunks,
+      expiresAt: result.upload.expiresAt,
+    });
+  } catch (error) {
+    console.error('Error starting template upload:', error);
+    res.status(500).json({ success: false, message: 'Error starting template upload' });
+  }
+});
 
-      global.templateChunks[id][index] = chunk;
-
-      // Check if all chunks received
-      if (
-        global.templateChunks[id].length === total &&
-        !global.templateChunks[id].includes(undefined)
-      ) {
-        // Combine chunks
-        const completeTemplate = JSON.parse(global.templateChunks[id].join(''));
-
-        // Update the page with complete template
-        const updateData = {
-          [`template.${language}.content`]: completeTemplate,
-          [`template.${language}.lastModified`]: new Date(),
-          'metadata.lastModifiedBy': req.user._id,
-          'metadata.updatedAt': new Date(),
-        };
-
-        const updatedPage = await prisma.page.update({
-          where: { id: parseInt(id) },
-          data: updateData,
-        });
-
-        // Cleanup chunks
-        delete global.templateChunks[id];
-
-        res.status(200).json({
-          success: true,
-          message: 'Template updated successfully',
-          page: updatedPage,
-        });
-      } else {
-        res.status(200).json({
-          success: true,
-          message: `Chunk ${index + 1} of ${total} received`,
-        });
-      }
-    } catch (error) {
-      console.error('Error handling template chunk:', error);
-      res.status(500).json({
+// Load the caller's upload into req.templateUpload
+const loadTemplateUpload = (options) => async (req, res, next) => {
+  try {
+    const result = await findUpload(req.params.uploadId, req.user.id, options);
+
+    if (!result.upload) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    req.templateUpload = result.upload;
+    next();
+  } catch (error) {
+    console.error('Error loading template upload:', error);
+    res.status(500).json({ success: false, message: 'Error loading template upload' });
+  }
+};
+
+// Upload progress, including the chunk indexes still missing
+router.get('/template-uploads/:uploadId', authorize('page:update'), loadTemplateUpload({ allowCompleted: true }), async (req, res) => {
+  try {
+    const upload = await getUploadStatus(req.templateUpload);
+    res.status(200).json({ success: true, upload });
+  } catch (error) {
+    console.error('Error fetching template upload:', error);
+    res.status(500).json({ success: false, message: 'Error fetching template upload' });
+  }
+});
+
+// Store one chunk with its SHA-256 checksum
+router.put('/template-uploads/:uploadId/chunks/:index', authorize('page:update'), loadTemplateUpload(), async (req, res) => {
+  try {
+    const result = await putChunk(req.templateUpload, parseInt(req.params.index), {
+      data: req.body.chunk,
+      checksum: req.body.checksum,
+    });
+
+    if (!result.progress) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({ success: true, upload: result.progress });
+  } catch (error) {
+    console.error('Error storing template chunk:', error);
+    res.status(500).json({ success: false, message: 'Error storing template chunk' });
+  }
+});
+
+// Assemble the chunks and save them as the page template
+router.post('/template-uploads/:uploadId/complete', authorize('page:update'), loadTemplateUpload(), checkPageEdit, async (req, res) => {
+  try {
+    const result = await completeUpload(req.templateUpload, {
+      userId: req.user.id,
+      workflow: req.pageWorkflow,
+    });
+
+    if (!result.saved) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Error updating template chunk',
-        error: error.message,
+        message: result.message,
+        upload: result.details,
       });
     }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      page: result.saved.page,
+      version: result.saved.version.version,
+    });
+  } catch (error) {
+    console.error('Error completing template upload:', error);
+    res.status(500).json({ success: false, message: 'Error completing template upload' });
+  }
+});
+
+// Abandon an upload and discard its chunks
+router.delete('/template-uploads/:uploadId', authorize('page:update'), loadTemplateUpload(), async (req, res) => {
+  try {
+    await abortUpload(req.templateUpload);
+    res.status(200).json({ success: true, message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Error cancelling template upload:', error);
+    res.status(500).json({ success: false, message: 'Error cancelling template upload' });
   }
-);
+});
 
-router.patch('/update-status/:id', async (req, res) => {
+router.patch('/update-status/:id', authorize('page:publish'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -412,6 +607,7 @@ router.patch('/update-status/:id', async (req, res) => {
       where: { id: parseInt(id) },
       data: {
         status: status.toUpperCase(),
+        ...workflowFor(status.toUpperCase()),
         metadata: {
           lastModifiedBy: req.user.id,
           updatedAt: new Date()
@@ -433,4 +629,54 @@ router.patch('/update-status/:id', async (req, res) => {
   }
 });
 
+// Schedule publishing and unpublishing; null clears a time
+router.patch('/schedule/:id', authorize('page:publish'), async (req, res) => {
+  try {
+    const result = await applySchedule('page', parseInt(req.params.id), req.body);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Page not found' });
+    }
+
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Page schedule updated successfully',
+      page: result.record,
+    });
+  } catch (error) {
+    console.error('Error scheduling page:', error);
+    res.status(500).json({ success: false, message: 'Error updating schedule' });
+  }
+});
+
+// Issue a signed, expiring link for previewing this page on the frontend
+router.post('/:id/preview-token', authorize('page:update'), async (req, res) => {
+  try {
+    const page = await prisma.page.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, slug: true },
+    });
+
+    if (!page) {
+      return res.status(404).json({ success: false, message: 'Page not found' });
+    }
+
+    const { token, expiresAt } = createPreviewToken('page', page.id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresAt,
+      previewPath: `/api/public/pages/${page.slug}?preview=${token}`,
+    });
+  } catch (error) {
+    console.error('Error creating preview token:', error);
+    res.status(500).json({ success: false, message: 'Error creating preview token' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
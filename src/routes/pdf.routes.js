@@ -1,14 +1,14 @@
 const express = require('express');
 const multer = require('multer');
-const { PrismaClient } = require('@prisma/client');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const stream = require('stream');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const { v4: uuidv4 } = require('uuid');
 
-// Initialize Prisma
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
+const { storePdf, readPdf, removePdf } = require('../services/pdfFile.service');
 
 // Rate limiting configuration
 const uploadLimiter = rateLimit({
@@ -39,8 +39,10 @@ const upload = multer({
 router.post(
   '/upload',
   uploadLimiter,
+  authorize('pdf:upload'),
   upload.single('pdfFile'),
   async (req, res) => {
+    let storageKey;
     try {
       if (!req.file) {
         return res.status(400).json({
@@ -55,10 +57,9 @@ router.post(
       console.log('Post ID:', postId); // Debugging
       console.log('Category ID:', categoryId); // Debugging
 
-      const fileData = req.file.buffer.toString('base64');
-
       // Generate a unique fileId
       const fileId = uuidv4();
+      storageKey = await storePdf(fileId, req.file.buffer);
 
       // Save metadata in PostgreSQL
       const newPdf = await prisma.pdf.create({
@@ -66,7 +67,7 @@ router.post(
           fileName: req.file.originalname,
           fileId: fileId,
           fileSize: req.file.size,
-          fileData: fileData,
+          storageKey,
           mimeType: req.file.mimetype,
           status: 'ACTIVE',
           isPublication: Boolean(isPublication),
@@ -84,6 +85,7 @@ router.post(
       });
     } catch (error) {
       console.error('Upload error:', error);
+      if (storageKey) await removePdf({ storageKey });
 
       if (error.code === 'P2002') {
         return res.status(400).json({
@@ -102,7 +104,7 @@ router.post(
 );
 
 // Download PDF endpoint
-router.get('/download/:id', async (req, res) => {
+router.get('/download/:id', authorize('pdf:read'), async (req, res) => {
   try {
     const pdf = await prisma.pdf.findUnique({
       where: { id: parseInt(req.params.id) },
@@ -115,7 +117,8 @@ router.get('/download/:id', async (req, res) => {
       });
     }
 
-    if (!pdf.fileData) {
+    const content = await readPdf(pdf);
+    if (!content) {
       return res.status(404).json({
         success: false,
         message: 'File content not found',
@@ -129,7 +132,7 @@ router.get('/download/:id', async (req, res) => {
     );
 
     const downloadStream = new stream.PassThrough();
-    downloadStream.end(Buffer.from(pdf.fileData, 'base64'));
+    downloadStream.end(content);
     downloadStream.pipe(res);
   } catch (error) {
     console.error('Download error:', error);
@@ -142,7 +145,7 @@ router.get('/download/:id', async (req, res) => {
 });
 
 // Delete PDF endpoint
-router.delete('/delete/:id', async (req, res) => {
+router.delete('/delete/:id', authorize('pdf:delete'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const pdf = await prisma.pdf.findUnique({
@@ -156,10 +159,10 @@ router.delete('/delete/:id', async (req, res) => {
       });
     }
 
-    // Delete from PostgreSQL
     await prisma.pdf.delete({
       where: { id },
     });
+    await removePdf(pdf);
 
     res.status(200).json({
       success: true,
@@ -176,7 +179,7 @@ router.delete('/delete/:id', async (req, res) => {
 });
 
 // Get all active PDFs
-router.get('/all', async (req, res) => {
+router.get('/all', authorize('pdf:read'), async (req, res) => {
   try {
     const pdfs = await prisma.pdf.findMany({
       where: { status: 'ACTIVE' },
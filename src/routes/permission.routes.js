@@ -0,0 +1,117 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const {
+  ALL_CAPABILITIES,
+  DEFAULT_ROLE_CAPABILITIES,
+  ROLES,
+  isValidCapability,
+  getMatrix,
+  setRoleCapabilities,
+  resetRoleCapabilities,
+} = require('../services/permission.service');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const validateRole = (req, res, next) => {
+  const role = req.params.role?.toUpperCase();
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid role',
+    });
+  }
+
+  if (role === 'SUPERADMIN') {
+    return res.status(400).json({
+      success: false,
+      message: 'SUPERADMIN capabilities cannot be changed',
+    });
+  }
+
+  req.params.role = role;
+  next();
+};
+
+// Get the current role -> capability matrix
+router.get('/', authorize('user:read'), async (req, res) => {
+  try {
+    const matrix = await getMatrix();
+
+    res.status(200).json({
+      success: true,
+      capabilities: ALL_CAPABILITIES,
+      defaults: DEFAULT_ROLE_CAPABILITIES,
+      matrix,
+    });
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching permissions',
+    });
+  }
+});
+
+// Replace the capabilities of a role
+router.put('/:role', authorize('permission:manage'), validateRole, async (req, res) => {
+  try {
+    const { capabilities } = req.body;
+
+    if (!Array.isArray(capabilities) || !capabilities.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'capabilities must be a non-empty array, use reset to restore defaults',
+      });
+    }
+
+    const invalid = capabilities.filter((capability) => !isValidCapability(capability));
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown capabilities',
+        invalid,
+      });
+    }
+
+    const updated = await setRoleCapabilities(req.params.role, capabilities);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role permissions updated successfully',
+      role: req.params.role,
+      capabilities: updated,
+    });
+  } catch (error) {
+    console.error('Error updating permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating permissions',
+    });
+  }
+});
+
+// Drop the stored overrides for a role and fall back to the defaults
+router.delete('/:role', authorize('permission:manage'), validateRole, async (req, res) => {
+  try {
+    const capabilities = await resetRoleCapabilities(req.params.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role permissions reset to defaults',
+      role: req.params.role,
+      capabilities,
+    });
+  } catch (error) {
+    console.error('Error resetting permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting permissions',
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,14 @@ const router = express.Router();
 const prisma = require('../services/db.service');
 const rateLimit = require('express-rate-limit');
 const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasCapability, sendForbidden } = authorize;
+const { getRequestContext } = require('../middleware/requestContext');
+const { REVISION_FIELDS, diffRevisions } = require('../services/postRevision.service');
+const { applySchedule } = require('../services/scheduler.service');
+const { workflowFor, workflowForEdit } = require('../services/review.service');
+const { createPreviewToken } = require('../services/preview.service');
+const { removeImageFiles } = require('../services/image.service');
 
 // Add rate limiting middleware
 const createPostLimiter = rateLimit({
@@ -14,7 +22,7 @@ const createPostLimiter = rateLimit({
 router.use(authMiddleware);
 
 // Create a new post
-router.post('/create', createPostLimiter, async (req, res) => {
+router.post('/create', createPostLimiter, authorize('post:create'), async (req, res) => {
   try {
     const { titleEn, titleBn, contentEn, contentBn, pageIds, categoryId, status, isFeatured } = req.body;
 
@@ -25,6 +33,14 @@ router.post('/create', createPostLimiter, async (req, res) => {
       });
     }
 
+    if (status && status !== 'DRAFT' && !hasCapability(req.user, 'post:publish')) {
+      return sendForbidden(res, ['post:publish']);
+    }
+
+    if (isFeatured && !hasCapability(req.user, 'post:feature')) {
+      return sendForbidden(res, ['post:feature']);
+    }
+
     const post = await prisma.post.create({
       data: {
         titleEn,
@@ -33,6 +49,7 @@ router.post('/create', createPostLimiter, async (req, res) => {
         contentBn,
         slug: `${titleEn.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${Date.now()}`,
         status: status || 'DRAFT',
+        ...workflowFor(status),
         isFeatured: Boolean(isFeatured),
         userId: req.user.userId,
         categoryId: parseInt(categoryId),
@@ -55,7 +72,7 @@ router.post('/create', createPostLimiter, async (req, res) => {
 
 
 // Get all posts
-router.get('/all-posts', async (req, res) => {
+router.get('/all-posts', authorize('post:read'), async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * parseInt(limit);
@@ -92,7 +109,7 @@ router.get('/all-posts', async (req, res) => {
 });
 
 // Get a single post by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('post:read'), async (req, res) => {
   try {
     const post = await prisma.post.findUnique({
       where: { id: parseInt(req.params.id) },
@@ -116,7 +133,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Get posts by category
-router.get('/by-category/:categoryId', async (req, res) => {
+router.get('/by-category/:categoryId', authorize('post:read'), async (req, res) => {
   try {
     const { categoryId } = req.params;
 
@@ -149,10 +166,10 @@ router.get('/by-category/:categoryId', async (req, res) => {
 });
 
 // Update a post by ID
-router.put('/update/:id', async (req, res) => {
+router.put('/update/:id', authorize('post:update'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { titleEn, titleBn, contentEn, contentBn, pageIds, categoryId, status, isFeatured } = req.body;
+    const { titleEn, titleBn, contentEn, contentBn, pageIds, categoryId, status, isFeatured, revisionNote } = req.body;
 
     if (!titleEn || !titleBn || !contentEn || !contentBn || !pageIds?.length || !categoryId) {
       return res.status(400).json({
@@ -162,17 +179,27 @@ router.put('/update/:id', async (req, res) => {
       });
     }
 
-    // // Handle image cleanup if necessary
-    // const oldPost = await prisma.post.findUnique({ where: { id: parseInt(id) } });
-    // if (oldPost.contentEn !== contentEn || oldPost.contentBn !== contentBn) {
-    //   // Extract image URLs from old content and new content
-    //   const oldImages = extractImageUrls(oldPost.contentEn).concat(extractImageUrls(oldPost.contentBn));
-    //   const newImages = extractImageUrls(contentEn).concat(extractImageUrls(contentBn));
+    // Picked up by the revision recorder when the post is saved
+    if (revisionNote) getRequestContext().revisionNote = String(revisionNote).slice(0, 255);
+
+    const existingPost = await prisma.post.findUnique({
+      where: { id: parseInt(id) },
+      select: { status: true, workflowState: true, publishAt: true, isFeatured: true },
+    });
+
+    if (!existingPost) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const canPublish = hasCapability(req.user, 'post:publish');
+    const workflow = workflowForEdit(existingPost, canPublish);
+    if (!workflow || ((status || 'DRAFT') !== existingPost.status && !canPublish)) {
+      return sendForbidden(res, ['post:publish']);
+    }
 
-    //   // Find images to delete
-    //   const imagesToDelete = oldImages.filter(url => !newImages.includes(url));
-    //   await Promise.all(imagesToDelete.map(url => deletePostImage(url)));
-    // }
+    if (Boolean(isFeatured) !== existingPost.isFeatured && !hasCapability(req.user, 'post:feature')) {
+      return sendForbidden(res, ['post:feature']);
+    }
 
     const post = await prisma.post.update({
       where: { id: parseInt(id) },
@@ -183,6 +210,8 @@ router.put('/update/:id', async (req, res) => {
         contentBn,
         categoryId: parseInt(categoryId),
         status: status || 'DRAFT',
+        ...workflow,
+        ...workflowFor(status),
         isFeatured: Boolean(isFeatured),
         pages: {
           set: pageIds.map(id => ({ id: parseInt(id) })),
@@ -205,24 +234,18 @@ router.put('/update/:id', async (req, res) => {
 });
 
 // Delete a post by ID
-router.delete('/delete/:id', async (req, res) => {
+router.delete('/delete/:id', authorize('post:delete'), async (req, res) => {
   try {
     const { id } = req.params;
     const postId = parseInt(id);
 
-    // First get all images associated with this post
-    const associatedImages = await prisma.gallery.findMany({
-      where: {
-        postId: postId
-      }
-    });
-
-    // Delete all associated images from the gallery table
-    await prisma.gallery.deleteMany({
-      where: {
-        postId: postId
-      }
-    });
+    // Media this post references, before its usage rows go away with it
+    const usedImageIds = (
+      await prisma.mediaUsage.findMany({
+        where: { entityType: 'post', entityId: postId },
+        select: { galleryId: true },
+      })
+    ).map((usage) => usage.galleryId);
 
     // Delete the post
     const post = await prisma.post.delete({
@@ -233,8 +256,16 @@ router.delete('/delete/:id', async (req, res) => {
       },
     });
 
-    // Delete the folder from Firebase
-    await deletePostFolder(postId);
+    // Post media nothing else references goes with the post; library images stay
+    const associatedImages = await prisma.gallery.findMany({
+      where: { id: { in: usedImageIds }, isPost: true, usages: { none: {} } },
+    });
+    await prisma.gallery.deleteMany({
+      where: { id: { in: associatedImages.map((img) => img.id) } },
+    });
+    for (const img of associatedImages) {
+      await removeImageFiles(img.variants);
+    }
 
     // Return both the post and image URLs for frontend cleanup
     res.status(200).json({
@@ -253,14 +284,14 @@ router.delete('/delete/:id', async (req, res) => {
 });
 
 // Update status toggle endpoint
-router.patch('/update-status/:id', async (req, res) => {
+router.patch('/update-status/:id', authorize('post:publish'), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
     const post = await prisma.post.update({
       where: { id: parseInt(id) },
-      data: { status },
+      data: { status, ...workflowFor(status) },
     });
 
     res.json({
@@ -278,7 +309,7 @@ router.patch('/update-status/:id', async (req, res) => {
 });
 
 // Get posts by page
-router.get('/by-page/:pageId', async (req, res) => {
+router.get('/by-page/:pageId', authorize('post:read'), async (req, res) => {
   try {
     const { pageId } = req.params;
     const { category } = req.query;
@@ -318,7 +349,7 @@ router.get('/by-page/:pageId', async (req, res) => {
 });
 
 // Toggle featured status
-router.patch('/toggle-featured/:id', async (req, res) => {
+router.patch('/toggle-featured/:id', authorize('post:feature'), async (req, res) => {
   try {
     const { id } = req.params;
     const { isFeatured } = req.body;
@@ -352,14 +383,28 @@ router.patch('/toggle-featured/:id', async (req, res) => {
   }
 });
 
-router.patch('/:id/set-cover-image', async (req, res) => {
+router.patch('/:id/set-cover-image', authorize('post:update'), async (req, res) => {
   const { id } = req.params;
   const { coverImage } = req.body;
 
   try {
+    const existingPost = await prisma.post.findUnique({
+      where: { id: parseInt(id, 10) },
+      select: { status: true, workflowState: true, publishAt: true },
+    });
+
+    if (!existingPost) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const workflow = workflowForEdit(existingPost, hasCapability(req.user, 'post:publish'));
+    if (!workflow) {
+      return sendForbidden(res, ['post:publish']);
+    }
+
     const updatedPost = await prisma.post.update({
       where: { id: parseInt(id, 10) },
-      data: { coverImage },
+      data: { coverImage, ...workflow },
     });
 
     res.json({ success: true, post: updatedPost });
@@ -374,7 +419,7 @@ router.patch('/:id/set-cover-image', async (req, res) => {
 
 
 // Update the public featured posts route
-router.get('/public/featured', async (req, res) => {
+router.get('/public/featured', authorize('post:read'), async (req, res) => {
   try {
     const posts = await prisma.post.findMany({
       where: {
@@ -400,4 +445,197 @@ router.get('/public/featured', async (req, res) => {
   }
 });
 
+const revisionAuthor = { select: { id: true, username: true } };
+
+// Load a revision of a post by its revision number
+const findRevision = (postId, revisionNumber) =>
+  prisma.postRevision.findUnique({
+    where: {
+      postId_revisionNumber: {
+        postId: parseInt(postId),
+        revisionNumber: parseInt(revisionNumber),
+      },
+    },
+    include: { author: revisionAuthor },
+  });
+
+// List the revisions of a post, newest first
+router.get('/:id/revisions', authorize('post:read'), async (req, res) => {
+  try {
+    const revisions = await prisma.postRevision.findMany({
+      where: { postId: parseInt(req.params.id) },
+      select: {
+        id: true,
+        revisionNumber: true,
+        titleEn: true,
+        titleBn: true,
+        status: true,
+        note: true,
+        createdAt: true,
+        author: revisionAuthor,
+      },
+      orderBy: { revisionNumber: 'desc' },
+    });
+
+    res.status(200).json({ success: true, revisions });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ success: false, message: 'Error fetching revisions' });
+  }
+});
+
+// Field-level diff between two revisions; "to" defaults to the current post
+router.get('/:id/revisions/compare', authorize('post:read'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'from revision is required',
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      findRevision(req.params.id, from),
+      to && to !== 'current'
+        ? findRevision(req.params.id, to)
+        : prisma.post.findUnique({ where: { id: parseInt(req.params.id) } }),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      from: fromRevision.revisionNumber,
+      to: toRevision.revisionNumber ?? 'current',
+      changes: diffRevisions(fromRevision, toRevision),
+    });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(500).json({ success: false, message: 'Error comparing revisions' });
+  }
+});
+
+// Get a single revision with its full content
+router.get('/:id/revisions/:revisionNumber', authorize('post:read'), async (req, res) => {
+  try {
+    const revision = await findRevision(req.params.id, req.params.revisionNumber);
+
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    res.status(200).json({ success: true, revision });
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ success: false, message: 'Error fetching revision' });
+  }
+});
+
+// Restore an old revision as the current draft
+router.post('/:id/revisions/:revisionNumber/restore', authorize('post:update'), async (req, res) => {
+  try {
+    const [post, revision] = await Promise.all([
+      prisma.post.findUnique({
+        where: { id: parseInt(req.params.id) },
+        select: { id: true, status: true, isFeatured: true },
+      }),
+      findRevision(req.params.id, req.params.revisionNumber),
+    ]);
+
+    if (!post || !revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    // Restoring pulls a published post back to draft
+    if (post.status !== 'DRAFT' && !hasCapability(req.user, 'post:publish')) {
+      return sendForbidden(res, ['post:publish']);
+    }
+
+    getRequestContext().revisionNote = `Restored from revision ${revision.revisionNumber}`;
+
+    const restored = await prisma.post.update({
+      where: { id: post.id },
+      data: {
+        ...Object.fromEntries(REVISION_FIELDS.map((field) => [field, revision[field]])),
+        status: 'DRAFT',
+        workflowState: 'DRAFT',
+        isFeatured: post.isFeatured,
+      },
+      include: {
+        pages: true,
+        category: true,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision restored as draft',
+      post: restored,
+    });
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    if (error.code === 'P2003') {
+      return res.status(400).json({
+        success: false,
+        message: 'The category of this revision no longer exists',
+      });
+    }
+    res.status(500).json({ success: false, message: 'Error restoring revision' });
+  }
+});
+
+// Schedule publishing and unpublishing; null clears a time
+router.patch('/schedule/:id', authorize('post:publish'), async (req, res) => {
+  try {
+    const result = await applySchedule('post', parseInt(req.params.id), req.body);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Post schedule updated successfully',
+      post: result.record,
+    });
+  } catch (error) {
+    console.error('Error scheduling post:', error);
+    res.status(500).json({ success: false, message: 'Error updating schedule' });
+  }
+});
+
+// Issue a signed, expiring link for previewing this post on the frontend
+router.post('/:id/preview-token', authorize('post:update'), async (req, res) => {
+  try {
+    const post = await prisma.post.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: { id: true, slug: true },
+    });
+
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const { token, expiresAt } = createPreviewToken('post', post.id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      token,
+      expiresAt,
+      previewPath: `/api/public/posts/${post.slug}?preview=${token}`,
+    });
+  } catch (error) {
+    console.error('Error creating preview token:', error);
+    res.status(500).json({ success: false, message: 'Error creating preview token' });
+  }
+});
+
 module.exports = router;
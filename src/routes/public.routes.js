@@ -2,12 +2,26 @@ const express = require('express');
 const router = express.Router();
 const prisma = require('../services/db.service');
 const cors = require('../middleware/cors');
+const languageNegotiation = require('../middleware/language');
 const rateLimit = require('express-rate-limit');
 const stream = require('stream');
+const {
+  verifyPreviewToken,
+  getPreviewToken,
+  markPreview,
+} = require('../services/preview.service');
+const { CATEGORY_TYPES, parseSearchQuery, search } = require('../services/search.service');
+const { attachTranslations } = require('../services/translation.service');
+const { readPdf } = require('../services/pdfFile.service');
+const { getActiveLocales } = require('../services/locale.service');
+const { getPagination, paginationMeta } = require('../utils/pagination');
 
 // Apply CORS specifically for public routes
 router.use(cors);
 
+// ?lang=en|bn|all with Accept-Language fallback; collapses *En/*Bn fields
+router.use(languageNegotiation);
+
 // // Add rate limiting
 // const limiter = rateLimit({
 //   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -38,20 +52,24 @@ router.get('/menu', async (req, res) => {
     // Respond with the menus
     return res.status(200).json({
       success: true,
-      menus: menus.map((menu) => ({
-        id: menu.id,
-        serial: menu.serial,
-        titleEn: menu.titleEn,
-        titleBn: menu.titleBn,
-        slug: menu.slug,
-        parentId: menu.parentId,
-        isExternalLink: menu.isExternalLink,
-        url: menu.url,
-        order: menu.order,
-        isActive: menu.isActive,
-        createdAt: menu.createdAt,
-        updatedAt: menu.updatedAt,
-      })),
+      menus: await attachTranslations(
+        'menu',
+        menus.map((menu) => ({
+          id: menu.id,
+          serial: menu.serial,
+          titleEn: menu.titleEn,
+          titleBn: menu.titleBn,
+          slug: menu.slug,
+          parentId: menu.parentId,
+          isExternalLink: menu.isExternalLink,
+          url: menu.url,
+          order: menu.order,
+          isActive: menu.isActive,
+          createdAt: menu.createdAt,
+          updatedAt: menu.updatedAt,
+        })),
+        req.localeChain
+      ),
     });
   } catch (error) {
     console.error('Error fetching menus:', error);
@@ -61,6 +79,25 @@ router.get('/menu', async (req, res) => {
   }
 });
 
+// Active locales for the frontend language switcher
+router.get('/locales', cacheControl(300), async (req, res) => {
+  try {
+    const locales = await getActiveLocales();
+    res.status(200).json({
+      success: true,
+      locales: locales.map(({ code, name, nativeName, isDefault }) => ({
+        code,
+        name,
+        nativeName,
+        isDefault,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching locales:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch locales' });
+  }
+});
+
 //Get post categories
 router.get('/categories', async (req, res) => {
   try {
@@ -87,6 +124,8 @@ router.get('/categories', async (req, res) => {
       };
     });
 
+    await attachTranslations('category', mappedCategories, req.localeChain);
+
     res.status(200).json({
       success: true,
       categories: mappedCategories,
@@ -99,98 +138,180 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// GET route for fetching posts
-router.get('/posts/details', async (req, res) => {
-  try {
-    // Query parameters for filtering
-    const { categoryId, type } = req.query;
+// Legacy ?type= groups on the public site, mapped to category types
+const POST_TYPE_GROUPS = {
+  research: ['RESEARCH', 'PUBLICATIONS'],
+  articles: ['ARTICLES', 'NEWS'],
+  notices: ['OTHER'],
+};
+const POST_SORT_FIELDS = ['createdAt', 'updatedAt', 'titleEn', 'titleBn'];
+
+// Fields returned by the default list view; content bodies are left out
+const postListSelect = {
+  id: true,
+  titleEn: true,
+  titleBn: true,
+  coverImage: true,
+  slug: true,
+  status: true,
+  isFeatured: true,
+  createdAt: true,
+  updatedAt: true,
+  categoryId: true,
+  category: {
+    select: { id: true, nameEn: true, nameBn: true, type: true },
+  },
+};
 
-    const posts = await prisma.post.findMany({
-      where: {
-        status: 'PUBLISHED',
-        ...(categoryId && { categoryId: parseInt(categoryId, 10) }),
-      },
-      include: {
-        pages: true,
-        category: true,
-        pdfs: true,
-        createdBy: {
-          select: { role: true },
-        },
-      },
-    });
+const formatFullPost = (post) => ({
+  id: post.id,
+  titleEn: post.titleEn,
+  titleBn: post.titleBn,
+  contentEn: post.contentEn,
+  contentBn: post.contentBn,
+  coverImage: post.coverImage,
+  slug: post.slug,
+  status: post.status,
+  isFeatured: post.isFeatured,
+  createdAt: post.createdAt,
+  updatedAt: post.updatedAt,
+  userId: post.createdBy,
+  categoryId: post.categoryId,
+  pdfs: post.pdfs.map((pdf) => ({
+    id: pdf.id,
+    name: pdf.fileName,
+    createdAt: pdf.createdAt,
+    updatedAt: pdf.updatedAt,
+  })),
+  pages: post.pages.map((page) => ({
+    id: page.id,
+    name: page.name,
+    titleEn: page.titleEn,
+    titleBn: page.titleBn,
+    slug: page.slug,
+    templateEn: page.templateEn,
+    templateBn: page.templateBn,
+    metadata: {
+      updatedAt: page.updatedAt,
+      lastModifiedBy: page.lastModifiedBy,
+    },
+    status: page.status,
+    createdAt: page.createdAt,
+    updatedAt: page.updatedAt,
+    createdById: page.createdById,
+    layoutId: page.layoutId,
+  })),
+  category: {
+    id: post.category.id,
+    nameEn: post.category.nameEn,
+    nameBn: post.category.nameBn,
+    type: post.category.type,
+    userId: post.category.userId,
+    isActive: post.category.isActive,
+    createdAt: post.category.createdAt,
+    updatedAt: post.category.updatedAt,
+  },
+  createdBy: {
+    role: post.createdBy.role,
+  },
+});
 
-    if (!posts.length) {
-      return res.status(200).json({ success: true, posts: [] });
-    }
+// Build the Prisma filter for the public post listing from query params
+const buildPostFilter = (query) => {
+  const { categoryId, type, categoryType, featured, from, to } = query;
 
-    // Filter posts by type (e.g., research, news, articles, etc.)
-    const CATEGORY_MAPPING = {
-      research: ['research', 'publications'],
-      articles: ['articles', 'news'],
-      notices: ['other'],
-    };
+  if (type && !POST_TYPE_GROUPS[type]) {
+    return { error: `type must be one of ${Object.keys(POST_TYPE_GROUPS).join(', ')}` };
+  }
 
-    const filteredPosts = posts.filter((post) => {
-      const categoryType = post.categoryId?.type?.toLowerCase();
-      if (!type) return true; // No filter, return all posts
-      return CATEGORY_MAPPING[type]?.includes(categoryType);
-    });
+  const categoryTypes = categoryType
+    ? String(categoryType).split(',').map((value) => value.trim().toUpperCase())
+    : null;
+  if (categoryTypes?.some((value) => !CATEGORY_TYPES.includes(value))) {
+    return { error: `categoryType must be one of ${CATEGORY_TYPES.join(', ')}` };
+  }
 
-    const response = filteredPosts.map((post) => ({
-      id: post.id,
-      titleEn: post.titleEn,
-      titleBn: post.titleBn,
-      contentEn: post.contentEn,
-      contentBn: post.contentBn,
-      coverImage: post.coverImage,
-      slug: post.slug,
-      status: post.status,
-      isFeatured: post.isFeatured,
-      createdAt: post.createdAt,
-      updatedAt: post.updatedAt,
-      userId: post.createdBy,
-      categoryId: post.categoryId,
-      pdfs: post.pdfs.map((pdf) => ({
-        id: pdf.id,
-        name: pdf.fileName,
-        createdAt: pdf.createdAt,
-        updatedAt: pdf.updatedAt,
-      })),
-      pages: post.pages.map((page) => ({
-        id: page.id,
-        name: page.name,
-        titleEn: page.titleEn,
-        titleBn: page.titleBn,
-        slug: page.slug,
-        templateEn: page.templateEn,
-        templateBn: page.templateBn,
-        metadata: {
-          updatedAt: page.updatedAt,
-          lastModifiedBy: page.lastModifiedBy,
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  const types = [POST_TYPE_GROUPS[type], categoryTypes].filter(Boolean);
+  const allowedTypes = types.length
+    ? types.reduce((a, b) => a.filter((value) => b.includes(value)))
+    : null;
+
+  return {
+    where: {
+      status: 'PUBLISHED',
+      ...(categoryId && { categoryId: parseInt(categoryId, 10) }),
+      ...(allowedTypes && { category: { type: { in: allowedTypes } } }),
+      ...(featured !== undefined && { isFeatured: featured === 'true' }),
+      ...((fromDate || toDate) && {
+        createdAt: {
+          ...(fromDate && { gte: fromDate }),
+          ...(toDate && { lte: toDate }),
         },
-        status: page.status,
-        createdAt: page.createdAt,
-        updatedAt: page.updatedAt,
-        createdById: page.createdById,
-        layoutId: page.layoutId,
-      })),
-      category: {
-        id: post.category.id,
-        nameEn: post.category.nameEn,
-        nameBn: post.category.nameBn,
-        type: post.category.type,
-        userId: post.category.userId,
-        isActive: post.category.isActive,
-        createdAt: post.category.createdAt,
-        updatedAt: post.category.updatedAt,
-      },
-      createdBy: {
-        role: post.createdBy.role,
-      },
-    }));
+      }),
+    },
+  };
+};
+
+// GET route for fetching posts. Supports offset (?page=) or cursor (?cursor=)
+// pagination; ?view=full returns the full bodies with pages and PDFs.
+router.get('/posts/details', async (req, res) => {
+  try {
+    const { where, error } = buildPostFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const sort = POST_SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+    const view = req.query.view === 'full' ? 'full' : 'list';
+    const cursor = req.query.cursor ? parseInt(req.query.cursor, 10) : null;
+    const pagination = getPagination(req.query, { defaultLimit: 12, maxLimit: 100 });
+
+    // id breaks ties so cursor pages never skip or repeat posts
+    const [posts, total] = await Promise.all([
+      prisma.post.findMany({
+        where,
+        orderBy: [{ [sort]: order }, { id: order }],
+        take: pagination.limit + 1,
+        ...(cursor
+          ? { cursor: { id: cursor }, skip: 1 }
+          : { skip: pagination.skip }),
+        ...(view === 'full'
+          ? {
+              include: {
+                pages: true,
+                category: true,
+                pdfs: true,
+                createdBy: {
+                  select: { role: true },
+                },
+              },
+            }
+          : { select: postListSelect }),
+      }),
+      prisma.post.count({ where }),
+    ]);
+
+    const hasMore = posts.length > pagination.limit;
+    const pagePosts = posts.slice(0, pagination.limit);
+    const response = view === 'full' ? pagePosts.map(formatFullPost) : pagePosts;
+
+    await attachTranslations('post', response, req.localeChain);
+    await attachTranslations('category', response.map((post) => post.category), req.localeChain);
 
-    res.status(200).json({ success: true, posts: response });
+    res.status(200).json({
+      success: true,
+      posts: response,
+      ...paginationMeta(total, pagination),
+      hasMore,
+      nextCursor: hasMore ? pagePosts[pagePosts.length - 1].id : null,
+    });
   } catch (error) {
     console.error('Error fetching posts:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch posts' });
@@ -198,19 +319,33 @@ router.get('/posts/details', async (req, res) => {
 });
 
 router.get('/posts/:slug', async (req, res) => {
-  const slug = req.params.slug;
-  // Fetch the post by slug from the database
-  const post = await prisma.post.findUnique({
-    where: { slug },
-    include: { pdfs: true, category: true },
-  });
-  if (!post) {
-    return res.status(404).send('Post not found');
+  try {
+    const slug = req.params.slug;
+    // Fetch the post by slug from the database
+    const post = await prisma.post.findUnique({
+      where: { slug },
+      include: { pdfs: true, category: true },
+    });
+
+    // Unpublished posts are only visible through a preview link for this post
+    const isPreview = post && verifyPreviewToken(getPreviewToken(req), 'post', post.id);
+    if (!post || (post.status !== 'PUBLISHED' && !isPreview)) {
+      return res.status(404).send('Post not found');
+    }
+
+    if (isPreview) markPreview(res);
+
+    await attachTranslations('post', post, req.localeChain);
+    await attachTranslations('category', post.category, req.localeChain);
+
+    res.status(200).json({
+      success: true,
+      post: post,
+    });
+  } catch (error) {
+    console.error('Error fetching post by slug:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch post' });
   }
-  res.status(200).json({
-    success: true,
-    post: post,
-  });
 });
 
 // Get all public pages
@@ -231,17 +366,22 @@ router.get('/pages', async (req, res) => {
     // Respond with transformed pages
     return res.status(200).json({
       success: true,
-      pages: pages.map((page) => ({
-        name: page.name,
-        titleEn: page.titleEn,
-        titleBn: page.titleBn,
-        slug: page.slug,
-        layout: page.layoutId,
-        template: {
-          en: page.templateEn || null,
-          bn: page.templateBn || null,
-        },
-      })),
+      pages: await attachTranslations(
+        'page',
+        pages.map((page) => ({
+          id: page.id,
+          name: page.name,
+          titleEn: page.titleEn,
+          titleBn: page.titleBn,
+          slug: page.slug,
+          layout: page.layoutId,
+          template: {
+            en: page.templateEn || null,
+            bn: page.templateBn || null,
+          },
+        })),
+        req.localeChain
+      ),
     });
   } catch (error) {
     console.error('Error fetching pages:', error);
@@ -260,28 +400,36 @@ router.get('/pages/:slug(*)', async (req, res) => {
       include: { layout: true }, // Include layout information
     });
 
+    // Unpublished pages are only visible through a preview link for this page
+    const isPreview = page && verifyPreviewToken(getPreviewToken(req), 'page', page.id);
+
     // If the page is not found, return a 404 error
-    if (!page) {
+    if (!page || (page.status !== 'PUBLISHED' && !isPreview)) {
       return res
         .status(404)
         .json({ success: false, message: 'Page not found' });
     }
 
+    if (isPreview) markPreview(res);
+
+    const response = {
+      id: page.id,
+      name: page.name,
+      titleEn: page.titleEn,
+      titleBn: page.titleBn,
+      slug: page.slug,
+      layout: page.layout,
+      template: {
+        en: page.templateEn || null,
+        bn: page.templateBn || null,
+      },
+    };
+    await attachTranslations('page', response, req.localeChain);
+
     // Respond with the page details
     return res.status(200).json({
       success: true,
-      page: {
-        id: page.id,
-        name: page.name,
-        titleEn: page.titleEn,
-        titleBn: page.titleBn,
-        slug: page.slug,
-        layout: page.layout,
-        template: {
-          en: page.templateEn || null,
-          bn: page.templateBn || null,
-        },
-      },
+      page: response,
     });
   } catch (error) {
     console.error('Error fetching page by slug:', error);
@@ -291,6 +439,41 @@ router.get('/pages/:slug(*)', async (req, res) => {
   }
 });
 
+// Search published posts, pages and PDFs in both languages
+router.get('/search', cacheControl(60), async (req, res) => {
+  try {
+    const { options, error } = parseSearchQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Snippets come from the negotiated language first
+    if (req.lang !== 'all') options.lang = req.lang;
+
+    const pagination = getPagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+    const { results, total, candidateLimit, truncated } = await search(options, { pagination });
+
+    for (const type of ['post', 'page']) {
+      await attachTranslations(
+        type,
+        results.filter((result) => result.type === type),
+        req.localeChain
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      results,
+      ...paginationMeta(total, pagination),
+      candidateLimit,
+      truncated,
+    });
+  } catch (error) {
+    console.error('Error searching content:', error);
+    res.status(500).json({ success: false, message: 'Failed to search content' });
+  }
+});
+
 // GET route for fetching footer links
 router.get('/footer-links', async (req, res) => {
   try {
@@ -307,17 +490,21 @@ router.get('/footer-links', async (req, res) => {
     // Respond with the footer links
     return res.status(200).json({
       success: true,
-      footerLinks: footerLinks.map((link) => ({
-        id: link.id,
-        position: link.position,
-        nameEn: link.nameEn,
-        nameBn: link.nameBn,
-        url: link.url,
-        serial: link.serial,
-        status: link.status,
-        createdAt: link.createdAt,
-        updatedAt: link.updatedAt,
-      })),
+      footerLinks: await attachTranslations(
+        'link',
+        footerLinks.map((link) => ({
+          id: link.id,
+          position: link.position,
+          nameEn: link.nameEn,
+          nameBn: link.nameBn,
+          url: link.url,
+          serial: link.serial,
+          status: link.status,
+          createdAt: link.createdAt,
+          updatedAt: link.updatedAt,
+        })),
+        req.localeChain
+      ),
     });
   } catch (error) {
     console.error('Error fetching footer links:', error);
@@ -343,15 +530,19 @@ router.get('/social-links', async (req, res) => {
     // Respond with the footer links
     return res.status(200).json({
       success: true,
-      socialLinks: socialLinks.map((link) => ({
-        id: link.id,
-        nameEn: link.nameEn,
-        nameBn: link.nameBn,
-        url: link.url,
-        status: link.status,
-        createdAt: link.createdAt,
-        updatedAt: link.updatedAt,
-      })),
+      socialLinks: await attachTranslations(
+        'social',
+        socialLinks.map((link) => ({
+          id: link.id,
+          nameEn: link.nameEn,
+          nameBn: link.nameBn,
+          url: link.url,
+          status: link.status,
+          createdAt: link.createdAt,
+          updatedAt: link.updatedAt,
+        })),
+        req.localeChain
+      ),
     });
   } catch (error) {
     console.error('Error fetching footer links:', error);
@@ -365,6 +556,7 @@ router.get('/social-links', async (req, res) => {
 router.get('/banners', async (req, res) => {
   try {
     const banners = await prisma.banner.findMany({
+      where: { status: 'PUBLISHED' },
       include: {
         uploadedBy: {
           select: {
@@ -378,6 +570,8 @@ router.get('/banners', async (req, res) => {
       },
     });
 
+    await attachTranslations('banner', banners, req.localeChain);
+
     res.status(200).json({
       success: true,
       count: banners.length,
@@ -406,7 +600,8 @@ router.get('/download/pdf/:id', async (req, res) => {
       });
     }
 
-    if (!pdf.fileData) {
+    const content = await readPdf(pdf);
+    if (!content) {
       return res.status(404).json({
         success: false,
         message: 'File content not found',
@@ -420,7 +615,7 @@ router.get('/download/pdf/:id', async (req, res) => {
     );
 
     const downloadStream = new stream.PassThrough();
-    downloadStream.end(Buffer.from(pdf.fileData, 'base64'));
+    downloadStream.end(content);
     downloadStream.pipe(res);
   } catch (error) {
     console.error('Download error:', error);
@@ -0,0 +1,139 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasCapability, sendForbidden } = authorize;
+const { getRoleCapabilities } = require('../services/permission.service');
+const {
+  REVIEWABLE,
+  TRANSITIONS,
+  isReviewable,
+  addComment,
+  listComments,
+  transition,
+  getReviewQueue,
+} = require('../services/review.service');
+
+const router = express.Router();
+
+const WORKFLOW_STATES = ['DRAFT', 'IN_REVIEW', 'CHANGES_REQUESTED', 'APPROVED'];
+
+router.use(authMiddleware);
+
+// Reject unknown content types before the per-type capability check
+const checkType = (req, res, next) => {
+  if (!isReviewable(req.params.type)) {
+    return res.status(404).json({ success: false, message: 'Unknown content type' });
+  }
+  next();
+};
+
+// Require e.g. post:publish or page:publish depending on the :type param
+const authorizeType = (action) => (req, res, next) =>
+  authorize(`${req.params.type}:${action}`)(req, res, next);
+
+// Review queue, limited to the content types the caller can approve
+router.get('/', async (req, res) => {
+  try {
+    req.user.capabilities ||= await getRoleCapabilities(req.user.role);
+
+    const types = Object.keys(REVIEWABLE).filter(
+      (type) =>
+        hasCapability(req.user, `${type}:publish`) &&
+        (!req.query.type || req.query.type === type)
+    );
+
+    if (!types.length) {
+      return sendForbidden(res, Object.keys(REVIEWABLE).map((type) => `${type}:publish`));
+    }
+
+    const state = (req.query.state || 'IN_REVIEW').toUpperCase();
+    if (!WORKFLOW_STATES.includes(state)) {
+      return res.status(400).json({ success: false, message: 'Invalid workflow state' });
+    }
+
+    const queue = await getReviewQueue(types, state);
+    res.status(200).json({ success: true, queue });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ success: false, message: 'Error fetching review queue' });
+  }
+});
+
+const handleTransition = (name) => async (req, res) => {
+  try {
+    if (req.body.comment != null && typeof req.body.comment !== 'string') {
+      return res.status(400).json({ success: false, message: 'comment must be a string' });
+    }
+    const comment = req.body.comment?.trim();
+
+    if (name === 'reject' && !comment) {
+      return res.status(400).json({
+        success: false,
+        message: 'A comment explaining the requested changes is required',
+      });
+    }
+
+    const result = await transition(req.params.type, parseInt(req.params.id), name, {
+      userId: req.user.id,
+      comment: comment || undefined,
+    });
+
+    if (result.status) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: TRANSITIONS[name].message,
+      [req.params.type]: result.item,
+    });
+  } catch (error) {
+    console.error(`Error during review ${name}:`, error);
+    res.status(500).json({ success: false, message: `Error during review ${name}` });
+  }
+};
+
+// Submit a draft for review
+router.post('/:type/:id/submit', checkType, authorizeType('update'), handleTransition('submit'));
+
+// Approve and publish
+router.post('/:type/:id/approve', checkType, authorizeType('publish'), handleTransition('approve'));
+
+// Send back to the author with comments
+router.post('/:type/:id/reject', checkType, authorizeType('publish'), handleTransition('reject'));
+
+// Reviewer comment thread
+router.get('/:type/:id/comments', checkType, authorizeType('read'), async (req, res) => {
+  try {
+    const comments = await listComments(req.params.type, parseInt(req.params.id));
+    res.status(200).json({ success: true, comments });
+  } catch (error) {
+    console.error('Error fetching review comments:', error);
+    res.status(500).json({ success: false, message: 'Error fetching review comments' });
+  }
+});
+
+router.post('/:type/:id/comments', checkType, authorizeType('update'), async (req, res) => {
+  try {
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+    if (!body) {
+      return res.status(400).json({ success: false, message: 'Comment body is required' });
+    }
+
+    const comment = await addComment(req.params.type, parseInt(req.params.id), {
+      authorId: req.user.id,
+      body,
+    });
+
+    res.status(201).json({ success: true, comment });
+  } catch (error) {
+    console.error('Error adding review comment:', error);
+    if (error.code === 'P2003') {
+      return res.status(404).json({ success: false, message: 'Content not found' });
+    }
+    res.status(500).json({ success: false, message: 'Error adding review comment' });
+  }
+});
+
+module.exports = router;
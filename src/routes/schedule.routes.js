@@ -0,0 +1,40 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { getPendingQueue, runDueTransitions } = require('../services/scheduler.service');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Upcoming publish/unpublish transitions
+router.get('/pending', authorize('schedule:read'), async (req, res) => {
+  try {
+    const pending = await getPendingQueue();
+    res.status(200).json({ success: true, pending });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ success: false, message: 'Error fetching schedule' });
+  }
+});
+
+// Apply due transitions now instead of waiting for the next tick
+router.post('/run', authorize('schedule:run'), async (req, res) => {
+  try {
+    const summary = await runDueTransitions();
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        message: 'A scheduler run is already in progress',
+      });
+    }
+
+    res.status(200).json({ success: true, summary });
+  } catch (error) {
+    console.error('Error running scheduler:', error);
+    res.status(500).json({ success: false, message: 'Error running scheduler' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasCapability, sendForbidden } = authorize;
+const { getRoleCapabilities } = require('../services/permission.service');
+const { SEARCH_TYPES, parseSearchQuery, search, reindexAll } = require('../services/search.service');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Admin search, including drafts, over the content types the caller can read
+router.get('/', async (req, res) => {
+  try {
+    const { options, error } = parseSearchQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    req.user.capabilities ||= await getRoleCapabilities(req.user.role);
+    options.types = options.types.filter((type) => hasCapability(req.user, `${type}:read`));
+
+    if (!options.types.length) {
+      return sendForbidden(res, SEARCH_TYPES.map((type) => `${type}:read`));
+    }
+
+    const pagination = getPagination(req.query, { defaultLimit: 20, maxLimit: 50 });
+    const { results, total, candidateLimit, truncated } = await search(options, {
+      includeDrafts: true,
+      status: req.query.status?.toUpperCase(),
+      pagination,
+    });
+
+    res.status(200).json({
+      success: true,
+      results,
+      ...paginationMeta(total, pagination),
+      candidateLimit,
+      truncated,
+    });
+  } catch (error) {
+    console.error('Error searching content:', error);
+    res.status(500).json({ success: false, message: 'Error searching content' });
+  }
+});
+
+// Rebuild the search index from scratch
+router.post('/reindex', authorize('search:manage'), async (req, res) => {
+  try {
+    const indexed = await reindexAll();
+    res.status(200).json({ success: true, message: 'Search index rebuilt', indexed });
+  } catch (error) {
+    console.error('Error rebuilding search index:', error);
+    res.status(500).json({ success: false, message: 'Error rebuilding search index' });
+  }
+});
+
+module.exports = router;
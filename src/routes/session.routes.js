@@ -0,0 +1,123 @@
+const express = require('express');
+const prisma = require('../services/db.service');
+const authMiddleware = require('../middleware/auth');
+const sessionOnly = require('../middleware/sessionOnly');
+const { hasCapability, sendForbidden } = require('../middleware/authorize');
+const { canManageRole, getRoleCapabilities } = require('../services/permission.service');
+const {
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+} = require('../services/session.service');
+
+const router = express.Router();
+
+router.use(authMiddleware, sessionOnly);
+
+// Resolve whose sessions are being managed. Other users' sessions need user:manage.
+const resolveSessionOwner = async (req, res, next) => {
+  try {
+    const requested = req.query.userId ? parseInt(req.query.userId) : req.user.id;
+
+    if (requested === req.user.id) {
+      req.sessionOwnerId = req.user.id;
+      return next();
+    }
+
+    req.user.capabilities ||= await getRoleCapabilities(req.user.role);
+    if (!hasCapability(req.user, 'user:manage')) {
+      return sendForbidden(res, ['user:manage']);
+    }
+
+    const owner = await prisma.user.findUnique({
+      where: { id: requested },
+      select: { id: true, role: true },
+    });
+
+    if (!owner) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (!canManageRole(req.user.role, owner.role)) {
+      return sendForbidden(res, ['user:manage']);
+    }
+
+    req.sessionOwnerId = owner.id;
+    next();
+  } catch (error) {
+    console.error('Error resolving session owner:', error);
+    res.status(500).json({ success: false, message: 'Error loading sessions' });
+  }
+};
+
+// List active sessions
+router.get('/', resolveSessionOwner, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.sessionOwnerId);
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session,
+        isCurrent: session.id === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ success: false, message: 'Error fetching sessions' });
+  }
+});
+
+// Revoke every session, keeping the current one unless includeCurrent=true
+router.delete('/', resolveSessionOwner, async (req, res) => {
+  try {
+    const keepCurrent =
+      req.sessionOwnerId === req.user.id && req.query.includeCurrent !== 'true';
+
+    const { count } = await revokeUserSessions(
+      req.sessionOwnerId,
+      keepCurrent ? req.user.sessionId : undefined
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      count,
+    });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ success: false, message: 'Error revoking sessions' });
+  }
+});
+
+// Revoke a single session
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: req.params.id },
+      include: { user: { select: { id: true, role: true } } },
+    });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    if (session.userId !== req.user.id) {
+      req.user.capabilities ||= await getRoleCapabilities(req.user.role);
+      if (
+        !hasCapability(req.user, 'user:manage') ||
+        !canManageRole(req.user.role, session.user.role)
+      ) {
+        return sendForbidden(res, ['user:manage']);
+      }
+    }
+
+    await revokeSession(session.id);
+    res.status(200).json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ success: false, message: 'Error revoking session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasCapability, sendForbidden } = authorize;
+const { ROLES } = require('../services/permission.service');
+const {
+  DEFAULT_SETTINGS,
+  RESTRICTED_SETTINGS,
+  getAllSettings,
+  isValidSetting,
+  setSetting,
+} = require('../services/settings.service');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Get all runtime settings
+router.get('/', authorize('settings:manage'), async (req, res) => {
+  try {
+    const settings = await getAllSettings();
+    res.status(200).json({ success: true, settings, defaults: DEFAULT_SETTINGS });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ success: false, message: 'Error fetching settings' });
+  }
+});
+
+// Update a single setting
+router.put('/:key', authorize('settings:manage'), async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { value } = req.body;
+
+    if (!isValidSetting(key, value)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown setting or invalid value type',
+      });
+    }
+
+    const extraCapability = RESTRICTED_SETTINGS[key];
+    if (extraCapability && !hasCapability(req.user, extraCapability)) {
+      return sendForbidden(res, [extraCapability]);
+    }
+
+    if (key === 'auth.requireTwoFactorRoles' && !value.every((role) => ROLES.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role in value',
+      });
+    }
+
+    const updated = await setSetting(key, value, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Setting updated successfully',
+      key,
+      value: updated,
+    });
+  } catch (error) {
+    console.error('Error updating setting:', error);
+    res.status(500).json({ success: false, message: 'Error updating setting' });
+  }
+});
+
+module.exports = router;
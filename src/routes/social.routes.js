@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const prisma = require('../services/db.service');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+
+router.use(authMiddleware);
 
 // Duplicate URL check middleware for SocialLink
 const checkDuplicateUrl = async (req, res, next) => {
@@ -30,7 +33,7 @@ const checkDuplicateUrl = async (req, res, next) => {
 };
 
 // Create a new SocialLink
-router.post('/create-social-links', checkDuplicateUrl, async (req, res) => {
+router.post('/create-social-links', authorize('social:create'), checkDuplicateUrl, async (req, res) => {
   try {
     const { nameEn, nameBn, url, status } = req.body;
 
@@ -58,7 +61,7 @@ router.post('/create-social-links', checkDuplicateUrl, async (req, res) => {
 });
 
 // Fetch all SocialLinks
-router.get('/all-social-links', async (req, res) => {
+router.get('/all-social-links', authorize('social:read'), async (req, res) => {
   try {
     const socialLinks = await prisma.socialLink.findMany({
       orderBy: { createdAt: 'asc' },
@@ -79,7 +82,7 @@ router.get('/all-social-links', async (req, res) => {
 });
 
 // Fetch a single SocialLink by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('social:read'), async (req, res) => {
   try {
     const socialLink = await prisma.socialLink.findUnique({
       where: { id: parseInt(req.params.id) },
@@ -100,7 +103,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update a SocialLink by ID
-router.patch('/:id', checkDuplicateUrl, async (req, res) => {
+router.patch('/:id', authorize('social:update'), checkDuplicateUrl, async (req, res) => {
   try {
     const { nameEn, nameBn, url, status } = req.body;
 
@@ -135,7 +138,7 @@ router.patch('/:id', checkDuplicateUrl, async (req, res) => {
 });
 
 // Delete a SocialLink by ID
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('social:delete'), async (req, res) => {
   try {
     await prisma.socialLink.delete({
       where: { id: parseInt(req.params.id) },
@@ -0,0 +1,164 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { hasCapability } = authorize;
+const { getRoleCapabilities } = require('../services/permission.service');
+const { getActiveLocales, isActiveLocale } = require('../services/locale.service');
+const {
+  REPORT_TYPES,
+  TRANSLATION_STATES,
+  isTranslatable,
+  getTranslations,
+  saveTranslations,
+  markUpToDate,
+  getTranslationReport,
+} = require('../services/translation.service');
+const { getPagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Reject unknown content types before the per-type capability check
+const checkType = (req, res, next) => {
+  if (!isTranslatable(req.params.type)) {
+    return res.status(404).json({ success: false, message: 'Unknown content type' });
+  }
+  next();
+};
+
+// Require e.g. post:update or menu:update depending on the :type param
+const authorizeType = (action) => (req, res, next) =>
+  authorize(`${req.params.type}:${action}`)(req, res, next);
+
+// Posts, pages, menus and categories with missing or outdated translations,
+// limited to the types the caller can read
+router.get('/report', async (req, res) => {
+  try {
+    req.user.capabilities ||= await getRoleCapabilities(req.user.role);
+
+    const requested = req.query.type ? req.query.type.split(',') : REPORT_TYPES;
+    const unknown = requested.filter((type) => !REPORT_TYPES.includes(type));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type: ${unknown.join(', ')}`,
+      });
+    }
+
+    const states = req.query.state
+      ? req.query.state.toUpperCase().split(',')
+      : undefined;
+    if (states?.some((state) => !TRANSLATION_STATES.includes(state))) {
+      return res.status(400).json({ success: false, message: 'Invalid state' });
+    }
+
+    let locales = await getActiveLocales();
+    if (req.query.locale) {
+      locales = locales.filter(({ code }) => code === req.query.locale);
+      if (!locales.length) {
+        return res.status(400).json({ success: false, message: 'Invalid language specified' });
+      }
+    }
+
+    const types = requested.filter((type) => hasCapability(req.user, `${type}:read`));
+    const pagination = getPagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const { total, items } = await getTranslationReport({ types, locales, states, pagination });
+
+    res.status(200).json({
+      success: true,
+      types,
+      locales: locales.map(({ code }) => code),
+      items,
+      ...paginationMeta(total, pagination),
+    });
+  } catch (error) {
+    console.error('Error building translation report:', error);
+    res.status(500).json({ success: false, message: 'Error building translation report' });
+  }
+});
+
+// All translations of one item, keyed by locale
+router.get('/:type/:id', checkType, authorizeType('read'), async (req, res) => {
+  try {
+    const translations = await getTranslations(req.params.type, parseInt(req.params.id));
+    res.status(200).json({ success: true, translations });
+  } catch (error) {
+    console.error('Error fetching translations:', error);
+    res.status(500).json({ success: false, message: 'Error fetching translations' });
+  }
+});
+
+// Save translated fields of one item for one locale
+router.put('/:type/:id/:locale', checkType, authorizeType('update'), async (req, res) => {
+  try {
+    if (!(await isActiveLocale(req.params.locale))) {
+      return res.status(400).json({ success: false, message: 'Invalid language specified' });
+    }
+
+    const result = await saveTranslations(
+      req.params.type,
+      parseInt(req.params.id),
+      req.params.locale,
+      req.body.fields || {},
+      {
+        userId: req.user.id,
+        canPublish: hasCapability(req.user, `${req.params.type}:publish`),
+      }
+    );
+
+    if (!result.translations) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Translations saved successfully',
+      translations: result.translations,
+    });
+  } catch (error) {
+    console.error('Error saving translations:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'This value is already used by another item',
+      });
+    }
+    res.status(500).json({ success: false, message: 'Error saving translations' });
+  }
+});
+
+// Confirm a locale is still correct after the other language changed
+router.post(
+  '/:type/:id/:locale/mark-up-to-date',
+  checkType,
+  authorizeType('update'),
+  async (req, res) => {
+    try {
+      if (!(await isActiveLocale(req.params.locale))) {
+        return res.status(400).json({ success: false, message: 'Invalid language specified' });
+      }
+
+      const result = await markUpToDate(
+        req.params.type,
+        parseInt(req.params.id),
+        req.params.locale
+      );
+
+      if (!result.translationStatus) {
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Translation marked as up to date',
+        translationStatus: result.translationStatus,
+      });
+    } catch (error) {
+      console.error('Error updating translation status:', error);
+      res.status(500).json({ success: false, message: 'Error updating translation status' });
+    }
+  }
+);
+
+module.exports = router;
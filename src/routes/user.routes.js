@@ -0,0 +1,368 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const prisma = require('../services/db.service');
+const authMiddleware = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { sendForbidden } = authorize;
+const { ROLES, canManageRole } = require('../services/permission.service');
+const { revokeUserSessions } = require('../services/session.service');
+const { unlockUser } = require('../services/loginGuard.service');
+const { disableTwoFactor } = require('../services/twoFactor.service');
+const { recordOwnerChange } = require('../services/audit.service');
+const { getRequestContext } = require('../middleware/requestContext');
+
+const router = express.Router();
+
+const userSelect = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  createdAt: true,
+  updatedAt: true,
+  lastLoginAt: true,
+  failedLoginCount: true,
+  lockedUntil: true,
+  twoFactorEnabled: true,
+};
+
+// Content that moves to another user when its owner is deleted
+const OWNED_CONTENT = [
+  { key: 'posts', model: 'Post', delegate: 'post', field: 'userId' },
+  { key: 'pages', model: 'Page', delegate: 'page', field: 'createdById' },
+  { key: 'layouts', model: 'Layout', delegate: 'layout', field: 'createdById' },
+  { key: 'banners', model: 'Banner', delegate: 'banner', field: 'userId' },
+  { key: 'galleries', model: 'Gallery', delegate: 'gallery', field: 'userId' },
+  { key: 'categories', model: 'Category', delegate: 'category', field: 'userId' },
+];
+
+router.use(authMiddleware);
+
+// Load the target user and make sure the caller outranks them
+const loadManageableUser = async (req, res, next) => {
+  try {
+    const target = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: userSelect,
+    });
+
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (target.id !== req.user.id && !canManageRole(req.user.role, target.role)) {
+      return sendForbidden(res, ['user:manage']);
+    }
+
+    req.targetUser = target;
+    next();
+  } catch (error) {
+    console.error('Error loading user:', error);
+    res.status(500).json({ success: false, message: 'Error loading user' });
+  }
+};
+
+// True when the target is the only active SUPERADMIN left
+const isLastSuperAdmin = async (target) => {
+  if (target.role !== 'SUPERADMIN' || !target.isActive) return false;
+
+  const others = await prisma.user.count({
+    where: { role: 'SUPERADMIN', isActive: true, id: { not: target.id } },
+  });
+  return others === 0;
+};
+
+const refuseLastSuperAdmin = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Cannot remove the last active SUPERADMIN',
+  });
+
+// Get all users
+router.get('/', authorize('user:read'), async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+
+    const where = {};
+    if (role) where.role = role.toUpperCase();
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const users = await prisma.user.findMany({
+      where,
+      select: userSelect,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.status(200).json({ success: true, users });
+  } catch (error) {
+    console.error('Failed to fetch users:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch users' });
+  }
+});
+
+// Get a single user
+router.get('/:id', authorize('user:read'), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(req.params.id) },
+      select: {
+        ...userSelect,
+        _count: {
+          select: {
+            posts: true,
+            pages: true,
+            layouts: true,
+            banners: true,
+            galleries: true,
+            categories: true,
+          },
+        },
+      },
+    });
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.status(200).json({ success: true, user });
+  } catch (error) {
+    console.error('Failed to fetch user:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch user' });
+  }
+});
+
+// Change a user's role
+router.patch('/:id/role', authorize('user:manage'), loadManageableUser, async (req, res) => {
+  try {
+    const role = req.body.role?.toUpperCase();
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: 'Invalid role' });
+    }
+
+    if (!canManageRole(req.user.role, role)) {
+      return sendForbidden(res, ['user:manage']);
+    }
+
+    if (role !== 'SUPERADMIN' && (await isLastSuperAdmin(req.targetUser))) {
+      return refuseLastSuperAdmin(res);
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.targetUser.id },
+      data: { role },
+      select: userSelect,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      user,
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ success: false, message: 'Error updating user role' });
+  }
+});
+
+// Activate or deactivate a user
+router.patch('/:id/status', authorize('user:manage'), loadManageableUser, async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be a boolean value',
+      });
+    }
+
+    if (!isActive && (await isLastSuperAdmin(req.targetUser))) {
+      return refuseLastSuperAdmin(res);
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.targetUser.id },
+      data: { isActive },
+      select: userSelect,
+    });
+
+    // A deactivated user is signed out everywhere straight away
+    if (!isActive) {
+      await revokeUserSessions(user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      user,
+    });
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    res.status(500).json({ success: false, message: 'Error updating user status' });
+  }
+});
+
+// Clear a lockout caused by failed logins
+router.post('/:id/unlock', authorize('user:manage'), loadManageableUser, async (req, res) => {
+  try {
+    await unlockUser(req.targetUser.id);
+    res.status(200).json({ success: true, message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ success: false, message: 'Error unlocking user' });
+  }
+});
+
+// Remove 2FA from a user who lost their authenticator and recovery codes
+router.post('/:id/2fa/reset', authorize('user:manage'), loadManageableUser, async (req, res) => {
+  try {
+    await disableTwoFactor(req.targetUser.id);
+    await revokeUserSessions(req.targetUser.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+    });
+  } catch (error) {
+    console.error('Error resetting 2FA:', error);
+    res.status(500).json({ success: false, message: 'Error resetting 2FA' });
+  }
+});
+
+// Set a new password for a user, generating one if none is given
+router.post('/:id/reset-password', authorize('user:manage'), loadManageableUser, async (req, res) => {
+  try {
+    const generated = !req.body.password;
+    const password = req.body.password || crypto.randomBytes(12).toString('base64url');
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: req.targetUser.id },
+      data: { password: await bcrypt.hash(password, 10) },
+    });
+    await revokeUserSessions(req.targetUser.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully',
+      ...(generated && { temporaryPassword: password }),
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ success: false, message: 'Error resetting password' });
+  }
+});
+
+// Delete a user, handing their content over to another user
+router.delete('/:id', authorize('user:manage'), loadManageableUser, async (req, res) => {
+  try {
+    const target = req.targetUser;
+    const reassignTo = req.body?.reassignTo ?? req.query.reassignTo;
+
+    if (target.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account',
+      });
+    }
+
+    if (await isLastSuperAdmin(target)) {
+      return refuseLastSuperAdmin(res);
+    }
+
+    const receiverId = reassignTo ? parseInt(reassignTo) : null;
+    if (receiverId === target.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Content cannot be reassigned to the user being deleted',
+      });
+    }
+
+    if (receiverId) {
+      const receiver = await prisma.user.findUnique({ where: { id: receiverId } });
+      if (!receiver || !receiver.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reassignment target not found or inactive',
+        });
+      }
+    }
+
+    const ownedIds = await prisma.$transaction(async (tx) => {
+      const ids = {};
+      const owned = {};
+      for (const { key, delegate, field } of OWNED_CONTENT) {
+        const rows = await tx[delegate].findMany({
+          where: { [field]: target.id },
+          select: { id: true },
+        });
+        ids[key] = rows.map((row) => row.id);
+        owned[key] = rows.length;
+      }
+
+      const ownsContent = Object.values(owned).some((count) => count > 0);
+      if (ownsContent && !receiverId) {
+        const error = new Error('User owns content, reassignTo is required');
+        error.status = 400;
+        error.owned = owned;
+        throw error;
+      }
+
+      if (ownsContent) {
+        for (const { key, delegate, field } of OWNED_CONTENT) {
+          await tx[delegate].updateMany({
+            where: { [field]: target.id },
+            data: { [field]: receiverId },
+          });
+        }
+      }
+
+      await tx.user.delete({ where: { id: target.id } });
+      return ids;
+    });
+
+    // The model hooks read outside the transaction and saw nothing change
+    for (const { key, model, field } of OWNED_CONTENT) {
+      await recordOwnerChange({
+        model,
+        field,
+        ids: ownedIds[key],
+        from: target.id,
+        to: receiverId,
+        context: getRequestContext(),
+      });
+    }
+
+    const reassigned = Object.fromEntries(
+      Object.entries(ownedIds).map(([key, ids]) => [key, ids.length])
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully',
+      reassignedTo: receiverId,
+      reassigned,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        owned: error.owned,
+      });
+    }
+    console.error('Error deleting user:', error);
+    res.status(500).json({ success: false, message: 'Error deleting user' });
+  }
+});
+
+module.exports = router;
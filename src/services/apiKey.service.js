@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const prisma = require('./db.service');
+const { ALL_CAPABILITIES, getRoleCapabilities } = require('./permission.service');
+const { hashSecureToken } = require('../utils/secureToken');
+
+const KEY_PATTERN = /^wbb_([a-f0-9]{8})_([a-f0-9]{64})$/;
+
+// Capabilities a machine client must never hold
+const NON_DELEGABLE = ['permission:manage', 'apikey:manage', 'user:manage', 'settings:manage'];
+
+// Only write last-used data once a minute per key
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const isApiKey = (token) => KEY_PATTERN.test(token || '');
+
+// Expand `post:*` style scopes and drop anything unknown or non-delegable
+// Non-string scopes are kept as they are, for validateScopes to reject
+const normalizeScopes = (scopes) => {
+  const expanded = scopes.flatMap((scope) =>
+    typeof scope === 'string' && scope.endsWith(':*')
+      ? ALL_CAPABILITIES.filter((capability) => capability.startsWith(scope.slice(0, -1)))
+      : [scope]
+  );
+  return [...new Set(expanded)];
+};
+
+const validateScopes = (scopes) =>
+  scopes.filter(
+    (scope) =>
+      typeof scope !== 'string' ||
+      !ALL_CAPABILITIES.includes(scope) ||
+      NON_DELEGABLE.includes(scope)
+  );
+
+const createApiKey = async ({ name, scopes, expiresAt, userId }) => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  const key = `wbb_${prefix}_${secret}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name,
+      prefix,
+      keyHash: hashSecureToken(key),
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdById: userId,
+    },
+    select: { id: true, name: true, prefix: true, scopes: true, expiresAt: true, createdAt: true },
+  });
+
+  return { apiKey, key };
+};
+
+// Resolve a raw key to its creator, limited to the scopes the key was granted
+const authenticateApiKey = async (rawKey, req) => {
+  const match = KEY_PATTERN.exec(rawKey);
+  if (!match) return null;
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { prefix: match[1] },
+    include: {
+      createdBy: {
+        select: { id: true, username: true, email: true, role: true, isActive: true },
+      },
+    },
+  });
+
+  if (
+    !apiKey ||
+    apiKey.revokedAt ||
+    (apiKey.expiresAt && apiKey.expiresAt < new Date()) ||
+    !apiKey.createdBy.isActive
+  ) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashSecureToken(rawKey), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_THROTTLE_MS) {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: req.ip },
+    });
+  }
+
+  // A key can never do more than its creator currently can
+  const roleCapabilities = await getRoleCapabilities(apiKey.createdBy.role);
+  const capabilities = apiKey.scopes.filter((scope) => roleCapabilities.includes(scope));
+
+  return { apiKey, user: apiKey.createdBy, capabilities };
+};
+
+const revokeApiKey = (id) =>
+  prisma.apiKey.updateMany({
+    where: { id, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+module.exports = {
+  isApiKey,
+  normalizeScopes,
+  validateScopes,
+  createApiKey,
+  authenticateApiKey,
+  revokeApiKey,
+};
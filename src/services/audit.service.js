@@ -0,0 +1,77 @@
+const prisma = require('./db.service');
+const { onModelChange } = require('./modelEvents');
+const { diffFields } = require('../utils/diff');
+
+const IGNORED_FIELDS = ['updatedAt'];
+const STATUS_FIELDS = ['status', 'isActive'];
+
+// Large or binary columns are recorded as changed without their content
+const REDACTED_FIELDS = { Pdf: ['fileData'] };
+
+const redact = (model, record) => {
+  if (!record || !REDACTED_FIELDS[model]) return record;
+
+  const copy = { ...record };
+  REDACTED_FIELDS[model].forEach((field) => {
+    if (copy[field] != null) copy[field] = '[redacted]';
+  });
+  return copy;
+};
+
+const resolveAction = (action, changes) => {
+  if (action === 'create') return 'CREATE';
+  if (action === 'delete') return 'DELETE';
+  return Object.keys(changes).some((field) => STATUS_FIELDS.includes(field))
+    ? 'STATUS_CHANGE'
+    : 'UPDATE';
+};
+
+const recordAudit = async ({ model, action, before, after, context }) => {
+  const changes = diffFields(redact(model, before), redact(model, after), {
+    ignore: IGNORED_FIELDS,
+  });
+
+  if (action === 'update' && !Object.keys(changes).length) return;
+
+  const user = context.user;
+
+  await prisma.auditLog.create({
+    data: {
+      action: resolveAction(action, changes),
+      entityType: model,
+      entityId: String((after || before).id),
+      userId: user?.id,
+      actorName: user?.username,
+      apiKeyId: user?.apiKeyId,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      changes,
+    },
+  });
+};
+
+// Ownership moved inside an interactive transaction, where the model hooks only
+// see the rows as they were before it committed. Called once it has committed.
+const recordOwnerChange = async ({ model, field, ids, from, to, context }) => {
+  if (!ids.length) return;
+
+  const user = context.user;
+
+  await prisma.auditLog.createMany({
+    data: ids.map((id) => ({
+      action: 'UPDATE',
+      entityType: model,
+      entityId: String(id),
+      userId: user?.id,
+      actorName: user?.username,
+      apiKeyId: user?.apiKeyId,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      changes: diffFields({ [field]: from }, { [field]: to }),
+    })),
+  });
+};
+
+onModelChange(recordAudit);
+
+module.exports = { recordAudit, recordOwnerChange };
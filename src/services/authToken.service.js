@@ -0,0 +1,47 @@
+const prisma = require('./db.service');
+const { createSecureToken, hashSecureToken } = require('../utils/secureToken');
+
+const TOKEN_TTL_MS = {
+  PASSWORD_RESET: 60 * 60 * 1000, // 1 hour
+  EMAIL_VERIFICATION: 24 * 60 * 60 * 1000, // 24 hours
+};
+
+// Issue a single-use token, invalidating any unused one of the same type
+const issueAuthToken = async (userId, type) => {
+  const token = createSecureToken();
+
+  await prisma.$transaction([
+    prisma.authToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.authToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashSecureToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+// Mark a token used and return its user id, or null if it is invalid, used or expired
+const consumeAuthToken = async (token, type) => {
+  const tokenHash = hashSecureToken(token);
+
+  const record = await prisma.authToken.findUnique({ where: { tokenHash } });
+  if (!record || record.type !== type) return null;
+
+  // The conditional update makes concurrent redemptions of the same token fail
+  const { count } = await prisma.authToken.updateMany({
+    where: { id: record.id, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() },
+  });
+
+  return count === 1 ? record.userId : null;
+};
+
+module.exports = { issueAuthToken, consumeAuthToken };
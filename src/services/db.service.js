@@ -1,6 +1,8 @@
 const { PrismaClient } = require('@prisma/client');
+const { emitModelChange } = require('./modelEvents');
+const { getRequestContext } = require('../middleware/requestContext');
 
-const prisma = new PrismaClient({
+const base = new PrismaClient({
   log: ['query', 'info', 'warn', 'error'],
   datasources: {
     db: {
@@ -9,6 +11,101 @@ const prisma = new PrismaClient({
   },
 });
 
+// Content models whose writes are announced through modelEvents
+const WATCHED_MODELS = [
+  'Post',
+  'Page',
+  'Layout',
+  'Menu',
+  'Category',
+  'Banner',
+  'Gallery',
+  'Pdf',
+  'FooterLink',
+  'SocialLink',
+];
+
+const delegate = (model) => base[model.charAt(0).toLowerCase() + model.slice(1)];
+
+const emitAll = (model, action, pairs) =>
+  Promise.all(
+    pairs.map(({ before, after }) =>
+      emitModelChange({ model, action, before, after, context: getRequestContext() })
+    )
+  );
+
+// Snapshots are read through the base client, outside any surrounding transaction
+const watch = {
+  async create({ model, args, query }) {
+    const result = await query(args);
+    const after = await delegate(model).findUnique({ where: { id: result.id } });
+    await emitAll(model, 'create', [{ before: null, after }]);
+    return result;
+  },
+  async update({ model, args, query }) {
+    const before = await delegate(model).findUnique({ where: args.where });
+    const result = await query(args);
+    const after = await delegate(model).findUnique({ where: { id: result.id } });
+    await emitAll(model, 'update', [{ before, after }]);
+    return result;
+  },
+  async upsert({ model, args, query }) {
+    const before = await delegate(model).findUnique({ where: args.where });
+    const result = await query(args);
+    const after = await delegate(model).findUnique({ where: { id: result.id } });
+    await emitAll(model, before ? 'update' : 'create', [{ before, after }]);
+    return result;
+  },
+  async delete({ model, args, query }) {
+    const before = await delegate(model).findUnique({ where: args.where });
+    const result = await query(args);
+    await emitAll(model, 'delete', [{ before, after: null }]);
+    return result;
+  },
+  async updateMany({ model, args, query }) {
+    const rows = await delegate(model).findMany({ where: args.where });
+    const result = await query(args);
+    const after = await delegate(model).findMany({
+      where: { id: { in: rows.map((row) => row.id) } },
+    });
+    await emitAll(
+      model,
+      'update',
+      rows.map((row) => ({ before: row, after: after.find((item) => item.id === row.id) }))
+    );
+    return result;
+  },
+  async deleteMany({ model, args, query }) {
+    const rows = await delegate(model).findMany({ where: args.where });
+    const result = await query(args);
+    await emitAll(
+      model,
+      'delete',
+      rows.map((row) => ({ before: row, after: null }))
+    );
+    return result;
+  },
+};
+
+const refuseWrite = () => {
+  throw new Error('Audit log entries are append-only');
+};
+
+const prisma = base.$extends({
+  query: {
+    ...Object.fromEntries(
+      WATCHED_MODELS.map((model) => [model.charAt(0).toLowerCase() + model.slice(1), watch])
+    ),
+    auditLog: {
+      update: refuseWrite,
+      updateMany: refuseWrite,
+      upsert: refuseWrite,
+      delete: refuseWrite,
+      deleteMany: refuseWrite,
+    },
+  },
+});
+
 // Test connection
 prisma
   .$connect()
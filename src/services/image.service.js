@@ -0,0 +1,191 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+
+const IMAGE_DIR = 'images';
+
+const MAX_FILE_SIZE = parseInt(process.env.IMAGE_MAX_FILE_SIZE_MB || '15') * 1024 * 1024;
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION || '8000');
+const MIN_DIMENSION = parseInt(process.env.IMAGE_MIN_DIMENSION || '16');
+
+// Encoding is CPU heavy: libvips threads per image, and images encoded at once
+sharp.concurrency(parseInt(process.env.IMAGE_THREADS || '1'));
+const MAX_CONCURRENT_JOBS = parseInt(process.env.IMAGE_MAX_CONCURRENT || '2');
+
+// AVIF encodes slowly, so only the smaller variants get one
+const AVIF_MAX_WIDTH = parseInt(process.env.IMAGE_AVIF_MAX_WIDTH || '1024');
+
+// Responsive widths; only those smaller than the source are generated
+const VARIANT_WIDTHS = [320, 640, 1024, 1600, 2400];
+
+// Accepted source formats and the format their fallback variants are written in
+const SOURCE_FORMATS = {
+  jpeg: 'jpeg',
+  png: 'png',
+  webp: 'jpeg',
+  avif: 'jpeg',
+  heif: 'jpeg',
+  tiff: 'jpeg',
+};
+
+const OUTPUT_FORMATS = {
+  jpeg: { ext: 'jpg', mimeType: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+  png: { ext: 'png', mimeType: 'image/png', options: { compressionLevel: 9 } },
+  webp: { ext: 'webp', mimeType: 'image/webp', options: { quality: 80 } },
+  avif: { ext: 'avif', mimeType: 'image/avif', options: { quality: 55 } },
+};
+
+const ACCEPTED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/avif',
+  'image/heic',
+  'image/heif',
+  'image/tiff',
+];
+
+const toHex = ({ r, g, b }) =>
+  `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+
+// Auto-rotate from the EXIF orientation; sharp drops all other metadata on output
+const pipeline = (buffer) => sharp(buffer, { limitInputPixels: MAX_DIMENSION * MAX_DIMENSION }).rotate();
+
+const writeVariant = async (buffer, key, format, width) => {
+  const { ext, mimeType, options } = OUTPUT_FORMATS[format];
+  let image = pipeline(buffer);
+  if (width) image = image.resize({ width, withoutEnlargement: true });
+
+  const { data, info } = await image.toFormat(format, options).toBuffer({ resolveWithObject: true });
+  const stored = await getStorage().put(`${key}.${ext}`, data, { contentType: mimeType });
+
+  return {
+    width: info.width,
+    height: info.height,
+    format,
+    mimeType,
+    size: info.size,
+    key: stored.key,
+    url: stored.url,
+  };
+};
+
+// Uploads beyond MAX_CONCURRENT_JOBS wait for a running one to finish
+let activeJobs = 0;
+const waitingJobs = [];
+
+const acquireJob = () => {
+  if (activeJobs < MAX_CONCURRENT_JOBS) {
+    activeJobs += 1;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waitingJobs.push(resolve));
+};
+
+// Hand the slot straight to the next waiting job, or free it
+const releaseJob = () => {
+  const next = waitingJobs.shift();
+  if (next) next();
+  else activeJobs -= 1;
+};
+
+// Check an uploaded buffer is a supported image within the configured limits
+const inspectImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { status: 400, message: 'File is not a valid image' };
+  }
+
+  if (!SOURCE_FORMATS[metadata.format]) {
+    return { status: 400, message: `Unsupported image format: ${metadata.format}` };
+  }
+  if ((metadata.pages || 1) > 1) {
+    return { status: 400, message: 'Animated images are not supported' };
+  }
+
+  // EXIF orientations 5-8 swap width and height
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    return {
+      status: 400,
+      message: `Image must be at most ${MAX_DIMENSION}px wide and high`,
+    };
+  }
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) {
+    return {
+      status: 400,
+      message: `Image must be at least ${MIN_DIMENSION}px wide and high`,
+    };
+  }
+
+  return { metadata: { format: metadata.format, width, height } };
+};
+
+// Store a cleaned copy of an uploaded image plus responsive WebP variants (AVIF too
+// up to AVIF_MAX_WIDTH). Returns the fields to record on a Gallery or Banner row.
+const processImage = async (file) => {
+  if (file.size > MAX_FILE_SIZE) {
+    return { status: 413, message: 'Image file is too large' };
+  }
+
+  const inspected = await inspectImage(file.buffer);
+  if (!inspected.metadata) return inspected;
+
+  const { width, height } = inspected.metadata;
+  const fallback = SOURCE_FORMATS[inspected.metadata.format];
+  const folder = `${IMAGE_DIR}/${uuidv4()}`;
+
+  await acquireJob();
+  try {
+    const original = await writeVariant(file.buffer, `${folder}/original`, fallback);
+
+    const sizes = [];
+    const widths = VARIANT_WIDTHS.filter((variantWidth) => variantWidth < width).concat(width);
+    for (const variantWidth of widths) {
+      const formats = [fallback, 'webp', ...(variantWidth <= AVIF_MAX_WIDTH ? ['avif'] : [])];
+      for (const format of formats) {
+        sizes.push(await writeVariant(file.buffer, `${folder}/${variantWidth}`, format, variantWidth));
+      }
+    }
+
+    const { dominant } = await pipeline(file.buffer).stats();
+
+    return {
+      image: {
+        url: original.url,
+        fileName: file.originalname,
+        mimeType: original.mimeType,
+        fileSize: original.size,
+        width,
+        height,
+        dominantColor: toHex(dominant),
+        variants: { folder, original, sizes },
+      },
+    };
+  } catch (error) {
+    await removeImageFiles({ folder });
+    throw error;
+  } finally {
+    releaseJob();
+  }
+};
+
+// Remove every file written for a processed image; external URLs have no variants
+const removeImageFiles = async (variants) => {
+  if (!variants?.folder?.startsWith(`${IMAGE_DIR}/`)) return;
+  await getStorage().removePrefix(variants.folder);
+};
+
+module.exports = {
+  IMAGE_DIR,
+  MAX_FILE_SIZE,
+  ACCEPTED_MIME_TYPES,
+  inspectImage,
+  processImage,
+  removeImageFiles,
+};
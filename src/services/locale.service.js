@@ -0,0 +1,135 @@
+const prisma = require('./db.service');
+
+// Locales that have their own *En/*Bn columns; they always exist
+const BUILT_IN_LOCALES = [
+  { code: 'en', name: 'English', nativeName: 'English', isDefault: true, sortOrder: 0 },
+  { code: 'bn', name: 'Bengali', nativeName: 'বাংলা', fallbackCode: 'en', sortOrder: 1 },
+];
+
+const LOCALE_CODE = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let seeded = false;
+
+const isColumnLocale = (code) => BUILT_IN_LOCALES.some((locale) => locale.code === code);
+
+// Translations reference the locale table, so the built-in rows must exist
+const seedBuiltInLocales = async () => {
+  if (seeded) return;
+  await prisma.locale.createMany({ data: BUILT_IN_LOCALES, skipDuplicates: true });
+  seeded = true;
+};
+
+// All locales, ordered for display
+const listLocales = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.locales;
+
+  await seedBuiltInLocales();
+  const locales = await prisma.locale.findMany({
+    orderBy: [{ sortOrder: 'asc' }, { code: 'asc' }],
+  });
+
+  cache = { locales, expiresAt: Date.now() + CACHE_TTL_MS };
+  return locales;
+};
+
+const getActiveLocales = async () => (await listLocales()).filter((locale) => locale.isActive);
+
+const isActiveLocale = async (code) =>
+  (await getActiveLocales()).some((locale) => locale.code === code);
+
+const getDefaultLocale = async () => {
+  const locales = await getActiveLocales();
+  return (locales.find((locale) => locale.isDefault) || locales[0]).code;
+};
+
+// Locales to try in order: the locale, its fallback chain, then the default
+const getFallbackChain = async (code) => {
+  const locales = await listLocales();
+  const chain = [];
+
+  let current = locales.find((locale) => locale.code === code);
+  while (current && !chain.includes(current.code)) {
+    chain.push(current.code);
+    current = locales.find((locale) => locale.code === current.fallbackCode);
+  }
+
+  const defaultCode = await getDefaultLocale();
+  if (!chain.includes(defaultCode)) chain.push(defaultCode);
+  return chain;
+};
+
+const validateLocale = async (data, existing) => {
+  if (!existing && !LOCALE_CODE.test(data.code || '')) {
+    return 'code must be a lowercase language tag such as "hi" or "pt-br"';
+  }
+  if (!existing && !data.name) return 'name is required';
+
+  const code = existing?.code || data.code;
+  if (data.fallbackCode) {
+    if (data.fallbackCode === code) return 'A locale cannot fall back to itself';
+    if (!(await listLocales()).some((locale) => locale.code === data.fallbackCode)) {
+      return 'fallbackCode must be an existing locale';
+    }
+  }
+  if (existing?.isDefault && data.isActive === false) {
+    return 'The default locale cannot be deactivated';
+  }
+  return null;
+};
+
+const pickLocaleFields = (data) =>
+  Object.fromEntries(
+    ['name', 'nativeName', 'isActive', 'fallbackCode', 'sortOrder']
+      .filter((field) => data[field] !== undefined)
+      .map((field) => [field, field === 'sortOrder' ? parseInt(data[field]) : data[field]])
+  );
+
+// Create or update a locale; making one the default clears the flag elsewhere
+const saveLocale = async (code, data) => {
+  const existing = (await listLocales()).find((locale) => locale.code === code);
+  const error = await validateLocale({ ...data, code }, existing);
+  if (error) return { error };
+
+  const fields = pickLocaleFields(data);
+  if (data.isDefault === true) {
+    await prisma.locale.updateMany({ where: { code: { not: code } }, data: { isDefault: false } });
+    fields.isDefault = true;
+    fields.isActive = true;
+  }
+
+  const locale = existing
+    ? await prisma.locale.update({ where: { code }, data: fields })
+    : await prisma.locale.create({ data: { code, ...fields } });
+
+  cache = null;
+  return { locale, created: !existing };
+};
+
+// Built-in and default locales stay; others are removed with their translations
+const deleteLocale = async (code) => {
+  const locale = (await listLocales()).find((item) => item.code === code);
+  if (!locale) return { status: 404, message: 'Locale not found' };
+  if (isColumnLocale(code) || locale.isDefault) {
+    return { status: 400, message: 'Built-in and default locales cannot be deleted' };
+  }
+
+  await prisma.locale.updateMany({ where: { fallbackCode: code }, data: { fallbackCode: null } });
+  await prisma.locale.delete({ where: { code } });
+  cache = null;
+  return { deleted: true };
+};
+
+module.exports = {
+  BUILT_IN_LOCALES,
+  seedBuiltInLocales,
+  isColumnLocale,
+  listLocales,
+  getActiveLocales,
+  isActiveLocale,
+  getDefaultLocale,
+  getFallbackChain,
+  saveLocale,
+  deleteLocale,
+};
@@ -0,0 +1,104 @@
+const prisma = require('./db.service');
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5');
+const LOCKOUT_MS = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15') * 60 * 1000;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20');
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Seconds until the IP may try again, or 0 if it is not blocked
+const getIpRetryAfter = async (ipAddress) => {
+  const since = new Date(Date.now() - IP_WINDOW_MS);
+
+  const failures = await prisma.loginAttempt.findMany({
+    where: { ipAddress, success: false, createdAt: { gt: since } },
+    select: { createdAt: true },
+    orderBy: { createdAt: 'asc' },
+    take: MAX_IP_FAILURES,
+  });
+
+  if (failures.length < MAX_IP_FAILURES) return 0;
+  return Math.ceil((failures[0].createdAt.getTime() + IP_WINDOW_MS - Date.now()) / 1000);
+};
+
+const isLocked = (user) => Boolean(user?.lockedUntil && user.lockedUntil > new Date());
+
+// Doubles with every failure after the second, capped at MAX_DELAY_MS
+const getFailureDelay = (failures) =>
+  failures < 2 ? 0 : Math.min(BASE_DELAY_MS * 2 ** (failures - 2), MAX_DELAY_MS);
+
+const logAttempt = (req, { userId, email, success, reason }) =>
+  prisma.loginAttempt.create({
+    data: {
+      userId,
+      email: String(email).slice(0, 191),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')?.slice(0, 500),
+      success,
+      reason,
+    },
+  });
+
+// Log a failed attempt, lock the account when it crosses the limit and slow the response down
+const recordFailure = async (req, { user, email, reason }) => {
+  await logAttempt(req, { userId: user?.id, email, success: false, reason });
+
+  let failures = 0;
+  if (user && ['INVALID_CREDENTIALS', 'INVALID_2FA_CODE'].includes(reason)) {
+    // An expired lockout starts a fresh count instead of re-locking on the next mistake
+    await prisma.user.updateMany({
+      where: { id: user.id, lockedUntil: { lte: new Date() } },
+      data: { failedLoginCount: 0, lockedUntil: null },
+    });
+
+    // Incremented in the database so parallel attempts all count
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginCount: { increment: 1 } },
+      select: { failedLoginCount: true },
+    });
+    failures = updated.failedLoginCount;
+
+    if (failures >= MAX_ACCOUNT_FAILURES) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { lockedUntil: new Date(Date.now() + LOCKOUT_MS) },
+      });
+    }
+  } else {
+    failures = await prisma.loginAttempt.count({
+      where: {
+        ipAddress: req.ip,
+        success: false,
+        createdAt: { gt: new Date(Date.now() - IP_WINDOW_MS) },
+      },
+    });
+  }
+
+  await sleep(getFailureDelay(failures));
+};
+
+const recordSuccess = async (req, user) => {
+  await logAttempt(req, { userId: user.id, email: user.email, success: true });
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lockedUntil: null, lastLoginAt: new Date() },
+  });
+};
+
+const unlockUser = (userId) =>
+  prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: 0, lockedUntil: null },
+  });
+
+module.exports = {
+  getIpRetryAfter,
+  isLocked,
+  recordFailure,
+  recordSuccess,
+  unlockUser,
+};
@@ -0,0 +1,15 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Writes each message to MAIL_FILE_DIR as JSON, for local development
+const send = async (message) => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+  await fs.mkdir(dir, { recursive: true });
+
+  const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+
+  return { file };
+};
+
+module.exports = { send };
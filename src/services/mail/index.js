@@ -0,0 +1,37 @@
+const smtpTransport = require('./smtp.transport');
+const fileTransport = require('./file.transport');
+const consoleTransport = require('./console.transport');
+
+// Transports share one shape: send({ from, to, subject, text, html })
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Logging mail to the console is only a default outside production
+const getTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT || (process.env.NODE_ENV !== 'production' ? 'console' : null);
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'WBB CMS <no-reply@localhost>';
+  return getTransport().send({ from, to, subject, text, html });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,22 @@
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+// Created lazily so the other transports work without SMTP settings
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const send = (message) => getTransporter().sendMail(message);
+
+module.exports = { send };
@@ -0,0 +1,32 @@
+const appUrl = () => process.env.ADMIN_APP_URL || 'https://wbb-cms-admin-panel.vercel.app';
+
+const link = (pathname, token) => `${appUrl()}${pathname}?token=${encodeURIComponent(token)}`;
+
+const passwordReset = (token) => {
+  const url = link('/reset-password', token);
+  return {
+    subject: 'Reset your password',
+    text: `A password reset was requested for your account.\n\nReset it here: ${url}\n\nThe link expires in one hour. If you did not ask for this, ignore this email.`,
+    html: `<p>A password reset was requested for your account.</p><p><a href="${url}">Reset your password</a></p><p>The link expires in one hour. If you did not ask for this, ignore this email.</p>`,
+  };
+};
+
+const emailVerification = (token) => {
+  const url = link('/verify-email', token);
+  return {
+    subject: 'Verify your email address',
+    text: `Confirm your email address here: ${url}\n\nThe link expires in 24 hours.`,
+    html: `<p><a href="${url}">Confirm your email address</a></p><p>The link expires in 24 hours.</p>`,
+  };
+};
+
+const invite = (token, role) => {
+  const url = link('/register', token);
+  return {
+    subject: 'You have been invited to WBB CMS',
+    text: `You have been invited to join WBB CMS as ${role}.\n\nCreate your account here: ${url}\n\nThe invite expires in 7 days.`,
+    html: `<p>You have been invited to join WBB CMS as <strong>${role}</strong>.</p><p><a href="${url}">Create your account</a></p><p>The invite expires in 7 days.</p>`,
+  };
+};
+
+module.exports = { passwordReset, emailVerification, invite };
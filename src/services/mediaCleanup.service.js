@@ -0,0 +1,170 @@
+const prisma = require('./db.service');
+const { getSetting } = require('./settings.service');
+const { getStorage } = require('./storage');
+const { IMAGE_DIR, removeImageFiles } = require('./image.service');
+const { PDF_DIR } = require('./pdfFile.service');
+const { extractUrls } = require('./mediaUsage.service');
+
+const BATCH_SIZE = 50;
+
+// Storage prefixes the collector may delete from, and which area they live in
+const MANAGED_PREFIXES = [
+  { visibility: 'public', prefix: `${IMAGE_DIR}/` },
+  { visibility: 'public', prefix: 'pages/' },
+  { visibility: 'private', prefix: `${PDF_DIR}/` },
+];
+
+// Everything that can point at a stored file. Revisions and template versions
+// count too, so restoring an old version never brings back a broken image.
+const REFERENCE_SOURCES = [
+  { delegate: 'post', columns: ['contentEn', 'contentBn', 'coverImage'] },
+  { delegate: 'page', columns: ['templateEn', 'templateBn'] },
+  { delegate: 'layout', columns: ['content'] },
+  { delegate: 'banner', columns: ['url', 'variants'] },
+  { delegate: 'postRevision', columns: ['contentEn', 'contentBn', 'coverImage'] },
+  { delegate: 'pageTemplateVersion', columns: ['template'] },
+  { delegate: 'translation', columns: ['value'] },
+  { delegate: 'gallery', columns: ['url', 'variants'], owner: true },
+];
+
+const FOLDER_PATTERN = new RegExp(`${IMAGE_DIR}/([0-9a-f-]{36})(?:/|$)`, 'i');
+
+const folderOf = (value) => {
+  const match = value?.match(FOLDER_PATTERN);
+  return match ? `${IMAGE_DIR}/${match[1]}` : null;
+};
+
+// Every trailing part of a URL path, so a storage key matches however the URL was written
+const pathSuffixes = (url) => {
+  const parts = url.split(/[?#]/)[0].split('/');
+  return parts.map((_, i) => parts.slice(i).join('/')).filter(Boolean);
+};
+
+const createReferenceSet = () => ({ urls: new Set(), paths: new Set(), folders: new Set() });
+
+const addReference = (references, value) => {
+  if (value?.folder) references.folders.add(value.folder);
+  extractUrls(value).forEach((url) => {
+    references.urls.add(url);
+    pathSuffixes(url).forEach((path) => references.paths.add(path));
+    const folder = folderOf(url);
+    if (folder) references.folders.add(folder);
+  });
+};
+
+// Processed images are referenced as a whole folder, any variant keeps them all
+const hasFileReference = (references, key) => {
+  const folder = folderOf(key);
+  return folder ? references.folders.has(folder) : references.paths.has(key);
+};
+
+// References from content, and from the gallery table's own rows, kept apart so
+// a gallery row does not keep itself alive
+const collectReferences = async () => {
+  const content = createReferenceSet();
+  const gallery = createReferenceSet();
+
+  for (const { delegate, columns, owner } of REFERENCE_SOURCES) {
+    const references = owner ? gallery : content;
+    let cursor = 0;
+
+    for (;;) {
+      const records = await prisma[delegate].findMany({
+        where: { id: { gt: cursor } },
+        select: { id: true, ...Object.fromEntries(columns.map((column) => [column, true])) },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+      });
+      if (!records.length) break;
+
+      records.forEach((record) => {
+        columns.forEach((column) => addReference(references, record[column]));
+      });
+      cursor = records[records.length - 1].id;
+    }
+  }
+
+  const pdfs = await prisma.pdf.findMany({
+    where: { storageKey: { not: null } },
+    select: { storageKey: true },
+  });
+  pdfs.forEach((pdf) => content.paths.add(pdf.storageKey));
+
+  return { content, gallery };
+};
+
+// Editor uploads nothing points at any more. Library uploads (isPost false) are
+// kept even when unused, since putting them in the library was deliberate.
+const findOrphanedRows = async ({ content }, cutoff) => {
+  const candidates = await prisma.gallery.findMany({
+    where: { isPost: true, createdAt: { lt: cutoff }, usages: { none: {} } },
+    select: { id: true, url: true, fileName: true, variants: true, createdAt: true },
+  });
+
+  return candidates.filter((row) => {
+    const folder = row.variants?.folder || folderOf(row.url);
+    if (folder) return !content.folders.has(folder);
+    return !extractUrls(row.url).some((url) => content.urls.has(url));
+  });
+};
+
+const findUnreferencedFiles = async ({ content, gallery }, cutoff) => {
+  const files = [];
+
+  for (const { visibility, prefix } of MANAGED_PREFIXES) {
+    const stored = await getStorage(visibility).list(prefix);
+    stored
+      .filter(
+        (file) =>
+          file.lastModified < cutoff &&
+          !hasFileReference(content, file.key) &&
+          !hasFileReference(gallery, file.key)
+      )
+      .forEach((file) => files.push({ visibility, ...file }));
+  }
+
+  return files;
+};
+
+let running = false;
+
+// Report (and unless dryRun, delete) orphaned gallery rows and stored files no
+// record refers to. Only things older than the grace period are touched, so
+// uploads whose content has not been saved yet survive. Returns null while a
+// run is already in progress.
+const collectGarbage = async ({ dryRun = true, graceHours } = {}) => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const hours = graceHours ?? (await getSetting('media.orphanGraceHours'));
+    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const references = await collectReferences();
+    const orphanedRows = await findOrphanedRows(references, cutoff);
+    const unreferencedFiles = await findUnreferencedFiles(references, cutoff);
+
+    if (!dryRun) {
+      await prisma.gallery.deleteMany({ where: { id: { in: orphanedRows.map((row) => row.id) } } });
+      for (const row of orphanedRows) {
+        await removeImageFiles(row.variants);
+      }
+      for (const file of unreferencedFiles) {
+        await getStorage(file.visibility).remove(file.key);
+      }
+    }
+
+    return {
+      dryRun,
+      graceHours: hours,
+      cutoff,
+      orphanedRows,
+      unreferencedFiles,
+      unreferencedBytes: unreferencedFiles.reduce((total, file) => total + file.size, 0),
+    };
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = { collectGarbage };
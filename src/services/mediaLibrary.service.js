@@ -0,0 +1,363 @@
+const prisma = require('./db.service');
+const { removeImageFiles } = require('./image.service');
+
+const GALLERY_SORT_FIELDS = ['createdAt', 'fileName', 'fileSize'];
+const MAX_TAG_LENGTH = 100;
+const MAX_BULK_ITEMS = 500;
+
+// Metadata fields editors may change on a gallery item, with their maximum length
+const METADATA_LIMITS = {
+  altEn: 500,
+  altBn: 500,
+  captionEn: 5000,
+  captionBn: 5000,
+  credit: 255,
+  license: 100,
+};
+const METADATA_FIELDS = Object.keys(METADATA_LIMITS);
+
+// Accepts an array or a comma separated string; trims, collapses whitespace, dedupes
+const parseTagNames = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  const names = [
+    ...new Set(list.map((name) => String(name).trim().replace(/\s+/g, ' ')).filter(Boolean)),
+  ];
+
+  if (names.some((name) => name.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+  return { names };
+};
+
+// The metadata fields present in a request body; null or an empty string clears one
+const parseMetadata = (body) => {
+  const data = {};
+
+  for (const field of METADATA_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value !== null && typeof value !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+    if (value && value.length > METADATA_LIMITS[field]) {
+      return { error: `${field} must be at most ${METADATA_LIMITS[field]} characters` };
+    }
+    data[field] = value || null;
+  }
+
+  return { data };
+};
+
+const parseIds = (ids) => {
+  const parsed = (Array.isArray(ids) ? ids : []).map((id) => parseInt(id, 10));
+  if (!parsed.length || parsed.some((id) => !Number.isInteger(id))) {
+    return { error: 'ids must be a non-empty array of gallery item ids' };
+  }
+  if (parsed.length > MAX_BULK_ITEMS) {
+    return { error: `At most ${MAX_BULK_ITEMS} items can be changed at once` };
+  }
+  return { ids: [...new Set(parsed)] };
+};
+
+// A folder and every folder below it
+const getFolderTreeIds = async (folderId) => {
+  const folders = await prisma.mediaFolder.findMany({ select: { id: true, parentId: true } });
+  const ids = [folderId];
+  for (let i = 0; i < ids.length; i += 1) {
+    folders.filter((folder) => folder.parentId === ids[i]).forEach((folder) => ids.push(folder.id));
+  }
+  return ids;
+};
+
+// Prisma filter for the media library listing. folderId=none lists unfiled items;
+// includePostMedia=true adds images uploaded from the post editor.
+const buildGalleryFilter = async (query) => {
+  const { folderId, includeSubfolders, tag, tagMode, uploadedBy, type, mimeType, from, to, q } = query;
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  if (folderId && folderId !== 'none' && isNaN(parseInt(folderId, 10))) {
+    return { error: 'folderId must be a folder id or none' };
+  }
+  if (uploadedBy && isNaN(parseInt(uploadedBy, 10))) {
+    return { error: 'uploadedBy must be a user id' };
+  }
+
+  let folderFilter;
+  if (folderId === 'none') {
+    folderFilter = { folderId: null };
+  } else if (folderId) {
+    const id = parseInt(folderId, 10);
+    folderFilter =
+      includeSubfolders === 'true'
+        ? { folderId: { in: await getFolderTreeIds(id) } }
+        : { folderId: id };
+  }
+
+  const { names: tags, error } = parseTagNames(tag);
+  if (error) return { error };
+
+  // Any of the tags by default, every one of them with tagMode=all
+  const tagFilter =
+    tagMode === 'all'
+      ? tags.map((name) => ({ tags: { some: { name } } }))
+      : tags.length
+        ? [{ tags: { some: { name: { in: tags } } } }]
+        : [];
+
+  return {
+    where: {
+      ...(query.includePostMedia !== 'true' && { isPost: false }),
+      ...folderFilter,
+      ...(uploadedBy && { userId: parseInt(uploadedBy, 10) }),
+      ...(type && { fileType: type }),
+      ...(mimeType && { mimeType }),
+      ...(query.unused === 'true' && { usages: { none: {} } }),
+      ...((fromDate || toDate) && {
+        createdAt: {
+          ...(fromDate && { gte: fromDate }),
+          ...(toDate && { lte: toDate }),
+        },
+      }),
+      AND: [
+        ...tagFilter,
+        ...(q
+          ? [
+              {
+                OR: ['fileName', 'altEn', 'altBn', 'captionEn', 'captionBn', 'credit'].map(
+                  (field) => ({ [field]: { contains: q } })
+                ),
+              },
+            ]
+          : []),
+      ],
+    },
+  };
+};
+
+// All folders with their item counts, flat; clients build the tree from parentId
+const listFolders = () =>
+  prisma.mediaFolder.findMany({
+    include: { _count: { select: { galleries: true, children: true } } },
+    orderBy: [{ parentId: 'asc' }, { name: 'asc' }],
+  });
+
+const findFolderByName = (name, parentId, excludeIds = []) =>
+  prisma.mediaFolder.findFirst({
+    where: { name, parentId: parentId ?? null, id: { notIn: excludeIds } },
+  });
+
+// null and undefined mean "no folder"; anything else must be a folder id
+const isFolderId = (id) => id === null || id === undefined || Number.isInteger(id);
+
+const trimName = (name) => (typeof name === 'string' ? name.trim() : name);
+
+// Validate a folder name and parent; a folder cannot move below itself
+const checkFolder = async ({ id, name, parentId }) => {
+  if (typeof name !== 'string' || !name || name.length > 100) {
+    return { status: 400, message: 'Folder name is required (max 100 characters)' };
+  }
+  if (!isFolderId(parentId)) {
+    return { status: 400, message: 'parentId must be a folder id or null' };
+  }
+
+  if (parentId) {
+    const parent = await prisma.mediaFolder.findUnique({ where: { id: parentId } });
+    if (!parent) {
+      return { status: 400, message: 'Parent folder not found' };
+    }
+    if (id && (await getFolderTreeIds(id)).includes(parentId)) {
+      return { status: 400, message: 'A folder cannot be moved into itself' };
+    }
+  }
+
+  // MySQL does not enforce the unique index while parentId is null
+  if (await findFolderByName(name, parentId, id ? [id] : [])) {
+    return { status: 400, message: 'A folder with this name already exists here' };
+  }
+
+  return null;
+};
+
+const createFolder = async ({ name, parentId, userId }) => {
+  const folderName = trimName(name);
+  const error = await checkFolder({ name: folderName, parentId });
+  if (error) return error;
+
+  const folder = await prisma.mediaFolder.create({
+    data: { name: folderName, parentId: parentId ?? null, createdById: userId },
+  });
+  return { folder };
+};
+
+const updateFolder = async (id, { name, parentId }) => {
+  const existing = await prisma.mediaFolder.findUnique({ where: { id } });
+  if (!existing) return { status: 404, message: 'Folder not found' };
+
+  const folderName = name === undefined ? existing.name : trimName(name);
+  const parent = parentId === undefined ? existing.parentId : parentId;
+  const error = await checkFolder({ id, name: folderName, parentId: parent });
+  if (error) return error;
+
+  const folder = await prisma.mediaFolder.update({
+    where: { id },
+    data: { name: folderName, parentId: parent ?? null },
+  });
+  return { folder };
+};
+
+// Contents and subfolders move up to the parent, so nothing is lost
+const deleteFolder = async (id) => {
+  const folder = await prisma.mediaFolder.findUnique({ where: { id } });
+  if (!folder) return { status: 404, message: 'Folder not found' };
+
+  const children = await prisma.mediaFolder.findMany({ where: { parentId: id } });
+  for (const child of children) {
+    if (await findFolderByName(child.name, folder.parentId, [child.id, id])) {
+      return {
+        status: 409,
+        message: `Subfolder "${child.name}" clashes with a folder in the parent; rename it first`,
+      };
+    }
+  }
+
+  const [moved] = await prisma.$transaction([
+    prisma.gallery.updateMany({
+      where: { folderId: id },
+      data: { folderId: folder.parentId },
+    }),
+    prisma.mediaFolder.updateMany({
+      where: { parentId: id },
+      data: { parentId: folder.parentId },
+    }),
+    prisma.mediaFolder.delete({ where: { id } }),
+  ]);
+
+  return { folder, movedItems: moved.count, movedFolders: children.length };
+};
+
+const listTags = () =>
+  prisma.mediaTag.findMany({
+    include: { _count: { select: { galleries: true } } },
+    orderBy: { name: 'asc' },
+  });
+
+// Tag rows for the given names, creating the missing ones
+const ensureTags = async (names) => {
+  const tags = [];
+  for (const name of names) {
+    tags.push(await prisma.mediaTag.upsert({ where: { name }, create: { name }, update: {} }));
+  }
+  return tags;
+};
+
+const tagIds = (tags) => tags.map((tag) => ({ id: tag.id }));
+
+// Update alt text, caption, credit, license, folder and (replacing) tags of one item
+const updateMetadata = async (id, body) => {
+  const { data, error } = parseMetadata(body);
+  if (error) return { status: 400, message: error };
+
+  if (body.folderId !== undefined) {
+    const folderId =
+      body.folderId === null || body.folderId === '' ? null : parseInt(body.folderId, 10);
+    if (!isFolderId(folderId)) {
+      return { status: 400, message: 'folderId must be a folder id or null' };
+    }
+    if (folderId && !(await prisma.mediaFolder.findUnique({ where: { id: folderId } }))) {
+      return { status: 400, message: 'Folder not found' };
+    }
+    data.folderId = folderId;
+  }
+
+  if (body.tags !== undefined) {
+    const { names, error } = parseTagNames(body.tags);
+    if (error) return { status: 400, message: error };
+    data.tags = { set: tagIds(await ensureTags(names)) };
+  }
+
+  const image = await prisma.gallery.update({
+    where: { id },
+    data,
+    include: { folder: true, tags: true },
+  });
+  return { image };
+};
+
+const bulkMove = async (ids, folderId) => {
+  if (!isFolderId(folderId)) {
+    return { status: 400, message: 'folderId must be a folder id or null' };
+  }
+  if (folderId && !(await prisma.mediaFolder.findUnique({ where: { id: folderId } }))) {
+    return { status: 400, message: 'Folder not found' };
+  }
+
+  const { count } = await prisma.gallery.updateMany({
+    where: { id: { in: ids } },
+    data: { folderId: folderId ?? null },
+  });
+  return { count };
+};
+
+// Add and/or remove tags on many items; existing tags are kept
+const bulkTag = async (ids, { add = [], remove = [] }) => {
+  const items = await prisma.gallery.findMany({ where: { id: { in: ids } }, select: { id: true } });
+  const added = await ensureTags(add);
+  const removed = remove.length
+    ? await prisma.mediaTag.findMany({ where: { name: { in: remove } } })
+    : [];
+
+  for (const item of items) {
+    await prisma.gallery.update({
+      where: { id: item.id },
+      data: { tags: { connect: tagIds(added), disconnect: tagIds(removed) } },
+    });
+  }
+  return { count: items.length };
+};
+
+// Delete many items. Items still used by content are skipped unless confirmed.
+const bulkDelete = async (ids, { confirm = false } = {}) => {
+  const items = await prisma.gallery.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, url: true, variants: true, _count: { select: { usages: true } } },
+  });
+
+  const inUse = confirm ? [] : items.filter((item) => item._count.usages > 0);
+  const deletable = items.filter((item) => !inUse.includes(item));
+
+  await prisma.gallery.deleteMany({ where: { id: { in: deletable.map((item) => item.id) } } });
+  for (const item of deletable) {
+    await removeImageFiles(item.variants);
+  }
+
+  return {
+    deleted: deletable.map((item) => item.id),
+    skipped: inUse.map((item) => ({ id: item.id, url: item.url, usages: item._count.usages })),
+    notFound: ids.filter((id) => !items.some((item) => item.id === id)),
+  };
+};
+
+module.exports = {
+  GALLERY_SORT_FIELDS,
+  METADATA_FIELDS,
+  parseMetadata,
+  parseTagNames,
+  parseIds,
+  buildGalleryFilter,
+  listFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  listTags,
+  ensureTags,
+  updateMetadata,
+  bulkMove,
+  bulkTag,
+  bulkDelete,
+};
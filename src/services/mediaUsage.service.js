@@ -0,0 +1,215 @@
+const prisma = require('./db.service');
+const { onModelChange } = require('./modelEvents');
+const { IMAGE_DIR } = require('./image.service');
+
+// Content that can reference gallery items. Each usage kind lists the columns
+// scanned for URLs and, where the text is translatable, the Translation field
+// holding it for locales without their own column.
+const USAGE_SOURCES = {
+  post: {
+    model: 'Post',
+    delegate: 'post',
+    kinds: {
+      POST_BODY: { columns: ['contentEn', 'contentBn'], translationField: 'content' },
+      COVER_IMAGE: { columns: ['coverImage'] },
+    },
+  },
+  page: {
+    model: 'Page',
+    delegate: 'page',
+    kinds: {
+      PAGE_TEMPLATE: { columns: ['templateEn', 'templateBn'], translationField: 'template' },
+    },
+  },
+  banner: {
+    model: 'Banner',
+    delegate: 'banner',
+    kinds: {
+      BANNER: { columns: ['url'] },
+    },
+  },
+};
+
+const MODEL_TYPES = Object.fromEntries(
+  Object.entries(USAGE_SOURCES).map(([type, source]) => [source.model, type])
+);
+
+const URL_PATTERN = /(?:https?:\/\/|\/uploads\/)[^\s"'()<>\\]+/g;
+const FOLDER_PATTERN = new RegExp(`/${IMAGE_DIR}/([0-9a-f-]{36})/`, 'i');
+
+const decode = (url) => {
+  try {
+    return decodeURIComponent(url).trim();
+  } catch (error) {
+    return url.trim();
+  }
+};
+
+// Every URL mentioned in a string, HTML fragment or page builder JSON
+const extractUrls = (value) => {
+  if (value === null || value === undefined) return [];
+  const text = (typeof value === 'string' ? value : JSON.stringify(value)).replace(/&amp;/g, '&');
+  const urls = text.match(URL_PATTERN) || [];
+  return [...new Set(urls.flatMap((url) => [url, decode(url)]))];
+};
+
+// A processed image is referenced through any of its variants, so match on its folder
+const matchesUrl = (item, urls) =>
+  urls.some((url) => {
+    if (url === item.url || decode(url) === decode(item.url)) return true;
+    const folder = url.match(FOLDER_PATTERN)?.[1];
+    return Boolean(folder) && item.url.includes(`/${IMAGE_DIR}/${folder}/`);
+  });
+
+const findGalleryItems = async (urls) => {
+  if (!urls.length) return [];
+
+  const folders = [...new Set(urls.map((url) => url.match(FOLDER_PATTERN)?.[1]).filter(Boolean))];
+  return prisma.gallery.findMany({
+    where: {
+      OR: [
+        { url: { in: urls } },
+        ...folders.map((folder) => ({ url: { contains: `/${IMAGE_DIR}/${folder}/` } })),
+      ],
+    },
+    select: { id: true, url: true },
+  });
+};
+
+// Recompute the usage rows of one content item from its current state
+const refreshMediaUsage = async (type, entityId, record) => {
+  const source = USAGE_SOURCES[type];
+  record ??= await prisma[source.delegate].findUnique({ where: { id: entityId } });
+
+  if (!record) {
+    await prisma.mediaUsage.deleteMany({ where: { entityType: type, entityId } });
+    return;
+  }
+
+  const translationFields = Object.values(source.kinds)
+    .map((kind) => kind.translationField)
+    .filter(Boolean);
+  const translations = translationFields.length
+    ? await prisma.translation.findMany({
+        where: { entityType: type, entityId, field: { in: translationFields } },
+        select: { field: true, value: true },
+      })
+    : [];
+
+  const urlsByKind = Object.entries(source.kinds).map(([kind, { columns, translationField }]) => [
+    kind,
+    [
+      ...columns.flatMap((column) => extractUrls(record[column])),
+      ...translations
+        .filter((row) => row.field === translationField)
+        .flatMap((row) => extractUrls(row.value)),
+    ],
+  ]);
+
+  const items = await findGalleryItems([...new Set(urlsByKind.flatMap(([, urls]) => urls))]);
+  const wanted = urlsByKind.flatMap(([kind, urls]) =>
+    items.filter((item) => matchesUrl(item, urls)).map((item) => ({ galleryId: item.id, kind }))
+  );
+
+  const existing = await prisma.mediaUsage.findMany({ where: { entityType: type, entityId } });
+  const isSame = (a, b) => a.galleryId === b.galleryId && a.kind === b.kind;
+
+  const stale = existing.filter((usage) => !wanted.some((item) => isSame(usage, item)));
+  if (stale.length) {
+    await prisma.mediaUsage.deleteMany({ where: { id: { in: stale.map((usage) => usage.id) } } });
+  }
+
+  const fresh = wanted.filter((item) => !existing.some((usage) => isSame(usage, item)));
+  if (fresh.length) {
+    await prisma.mediaUsage.createMany({
+      data: fresh.map((item) => ({ ...item, entityType: type, entityId })),
+      skipDuplicates: true,
+    });
+  }
+};
+
+const updateMediaUsage = async ({ model, action, before, after }) => {
+  const type = MODEL_TYPES[model];
+  if (!type) return;
+
+  if (action === 'delete') {
+    await prisma.mediaUsage.deleteMany({ where: { entityType: type, entityId: before.id } });
+    return;
+  }
+
+  const columns = Object.values(USAGE_SOURCES[type].kinds).flatMap((kind) => kind.columns);
+  const changed =
+    !before ||
+    columns.some((column) => JSON.stringify(before[column]) !== JSON.stringify(after[column]));
+  if (changed) await refreshMediaUsage(type, after.id, after);
+};
+
+const ENTITY_SELECT = {
+  post: { id: true, titleEn: true, titleBn: true, slug: true, status: true },
+  page: { id: true, titleEn: true, titleBn: true, slug: true, status: true },
+  banner: { id: true, titleEn: true, titleBn: true, status: true },
+};
+
+// "Where used" list for one gallery item, with enough of each item to link to it
+const getMediaUsage = async (galleryId) => {
+  const usages = await prisma.mediaUsage.findMany({
+    where: { galleryId },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const entities = {};
+  for (const type of Object.keys(USAGE_SOURCES)) {
+    const ids = usages.filter((usage) => usage.entityType === type).map((usage) => usage.entityId);
+    entities[type] = ids.length
+      ? await prisma[USAGE_SOURCES[type].delegate].findMany({
+          where: { id: { in: ids } },
+          select: ENTITY_SELECT[type],
+        })
+      : [];
+  }
+
+  return usages.map((usage) => ({
+    kind: usage.kind,
+    entityType: usage.entityType,
+    entityId: usage.entityId,
+    entity: entities[usage.entityType]?.find((item) => item.id === usage.entityId) || null,
+    since: usage.createdAt,
+  }));
+};
+
+// Rescan all content, e.g. after media was registered for URLs already in use
+const rebuildMediaUsage = async () => {
+  const counts = {};
+
+  for (const [type, source] of Object.entries(USAGE_SOURCES)) {
+    let cursor = 0;
+    counts[type] = 0;
+
+    for (;;) {
+      const records = await prisma[source.delegate].findMany({
+        where: { id: { gt: cursor } },
+        orderBy: { id: 'asc' },
+        take: 50,
+      });
+      if (!records.length) break;
+
+      for (const record of records) {
+        await refreshMediaUsage(type, record.id, record);
+      }
+      counts[type] += records.length;
+      cursor = records[records.length - 1].id;
+    }
+  }
+
+  return counts;
+};
+
+onModelChange(updateMediaUsage);
+
+module.exports = {
+  USAGE_SOURCES,
+  extractUrls,
+  refreshMediaUsage,
+  getMediaUsage,
+  rebuildMediaUsage,
+};
@@ -0,0 +1,19 @@
+// Listeners get { model, action, before, after, context } after every write
+// to a watched model. Listener errors are logged, never thrown to the caller.
+const listeners = [];
+
+const onModelChange = (listener) => {
+  listeners.push(listener);
+};
+
+const emitModelChange = async (event) => {
+  for (const listener of listeners) {
+    try {
+      await listener(event);
+    } catch (error) {
+      console.error(`Model change listener failed for ${event.model}:`, error);
+    }
+  }
+};
+
+module.exports = { onModelChange, emitModelChange };
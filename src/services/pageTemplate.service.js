@@ -0,0 +1,176 @@
+const prisma = require('./db.service');
+const { getSetting } = require('./settings.service');
+const { diffFields } = require('../utils/diff');
+const { createWithNextNumber } = require('../utils/sequence');
+const { setTranslationValue, recordLocaleEdits } = require('./translation.service');
+const { refreshMediaUsage } = require('./mediaUsage.service');
+
+// Built-in locales keep their template in a column; others use Translation rows
+const TEMPLATE_FIELDS = { en: 'templateEn', bn: 'templateBn' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getTemplateField = (language) => TEMPLATE_FIELDS[language];
+
+const versionAuthor = { select: { id: true, username: true } };
+
+// Drop versions outside the retention policy; the newest version is always kept
+const pruneVersions = async (pageId, language) => {
+  const keep = Math.max(1, await getSetting('templateVersions.keep'));
+  const maxAgeDays = await getSetting('templateVersions.maxAgeDays');
+
+  const versions = await prisma.pageTemplateVersion.findMany({
+    where: { pageId, language },
+    select: { id: true, createdAt: true },
+    orderBy: { version: 'desc' },
+  });
+
+  const cutoff = maxAgeDays > 0 ? new Date(Date.now() - maxAgeDays * DAY_MS) : null;
+  const expired = versions
+    .slice(1)
+    .filter((version, index) => index + 1 >= keep || (cutoff && version.createdAt < cutoff));
+
+  if (!expired.length) return 0;
+
+  const { count } = await prisma.pageTemplateVersion.deleteMany({
+    where: { id: { in: expired.map((version) => version.id) } },
+  });
+  return count;
+};
+
+// Store a template on the page and record it as the next numbered version.
+// workflow holds review fields to reset along with the edit.
+const saveTemplate = async (pageId, language, template, { userId, note, workflow } = {}) => {
+  const templateField = getTemplateField(language);
+
+  const page = await prisma.page.findUnique({
+    where: { id: pageId },
+    select: { id: true, metadata: true },
+  });
+  if (!page) return null;
+
+  const latestVersion = async () => {
+    const { _max } = await prisma.pageTemplateVersion.aggregate({
+      where: { pageId, language },
+      _max: { version: true },
+    });
+    return _max.version;
+  };
+
+  const version = await createWithNextNumber(latestVersion, (number) =>
+    prisma.pageTemplateVersion.create({
+      data: {
+        pageId,
+        language,
+        version: number,
+        template,
+        note,
+        authorId: userId,
+      },
+      include: { author: versionAuthor },
+    })
+  );
+
+  const stored = {
+    content: template,
+    lastModified: new Date(),
+    version: version.version,
+  };
+
+  if (!templateField) {
+    await setTranslationValue('page', pageId, language, 'template', stored, userId);
+    await recordLocaleEdits('page', pageId, [language]);
+    await refreshMediaUsage('page', pageId);
+  }
+
+  const updatedPage = await prisma.page.update({
+    where: { id: pageId },
+    data: {
+      ...(templateField && { [templateField]: stored }),
+      ...workflow,
+      metadata: {
+        ...page.metadata,
+        lastModifiedBy: userId,
+        updatedAt: new Date(),
+      },
+    },
+  });
+
+  await pruneVersions(pageId, language);
+
+  return { page: updatedPage, version };
+};
+
+// Current template of a page in one locale; undefined when the page does not exist
+const getTemplate = async (pageId, language) => {
+  const templateField = getTemplateField(language);
+
+  if (templateField) {
+    const page = await prisma.page.findUnique({
+      where: { id: pageId },
+      select: { [templateField]: true },
+    });
+    return page ? page[templateField] : undefined;
+  }
+
+  const [page, translation] = await Promise.all([
+    prisma.page.findUnique({ where: { id: pageId }, select: { id: true } }),
+    prisma.translation.findUnique({
+      where: {
+        entityType_entityId_localeCode_field: {
+          entityType: 'page',
+          entityId: pageId,
+          localeCode: language,
+          field: 'template',
+        },
+      },
+    }),
+  ]);
+  return page ? translation?.value ?? null : undefined;
+};
+
+const listVersions = (pageId, language) =>
+  prisma.pageTemplateVersion.findMany({
+    where: { pageId, language },
+    select: {
+      id: true,
+      version: true,
+      note: true,
+      createdAt: true,
+      author: versionAuthor,
+    },
+    orderBy: { version: 'desc' },
+  });
+
+const getVersion = (pageId, language, version) =>
+  prisma.pageTemplateVersion.findUnique({
+    where: { pageId_language_version: { pageId, language, version } },
+    include: { author: versionAuthor },
+  });
+
+// Compare the top-level template parts (html, css, ...) of two versions
+const compareVersions = (from, to) => diffFields(from.template, to.template);
+
+// Re-save an old version as a new one, keeping the history linear
+const rollbackTemplate = async (pageId, language, versionNumber, { userId, workflow } = {}) => {
+  const version = await getVersion(pageId, language, versionNumber);
+  if (!version) return null;
+
+  return saveTemplate(pageId, language, version.template, {
+    userId,
+    note: `Rolled back to version ${version.version}`,
+    workflow,
+  });
+};
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  getTemplateField,
+  getTemplate,
+  saveTemplate,
+  listVersions,
+  getVersion,
+  compareVersions,
+  rollbackTemplate,
+  pruneVersions,
+};
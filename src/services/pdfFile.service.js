@@ -0,0 +1,25 @@
+const { getStorage } = require('./storage');
+
+const PDF_DIR = 'pdfs';
+
+const pdfKey = (fileId) => `${PDF_DIR}/${fileId}.pdf`;
+
+// Write a PDF to private storage and return the key to record on the Pdf row
+const storePdf = async (fileId, buffer) => {
+  const { key } = await getStorage('private').put(pdfKey(fileId), buffer, {
+    contentType: 'application/pdf',
+  });
+  return key;
+};
+
+// File contents of a Pdf row; rows not yet migrated still carry base64 fileData
+const readPdf = async (pdf) => {
+  if (pdf.storageKey) return getStorage('private').get(pdf.storageKey);
+  return pdf.fileData ? Buffer.from(pdf.fileData, 'base64') : null;
+};
+
+const removePdf = async (pdf) => {
+  if (pdf.storageKey) await getStorage('private').remove(pdf.storageKey);
+};
+
+module.exports = { PDF_DIR, pdfKey, storePdf, readPdf, removePdf };
@@ -0,0 +1,128 @@
+const prisma = require('./db.service');
+
+// Every capability a route can require, grouped by resource
+const CAPABILITIES = {
+  post: ['read', 'create', 'update', 'delete', 'publish', 'feature'],
+  page: ['read', 'create', 'update', 'delete', 'publish'],
+  layout: ['read', 'create', 'update', 'delete'],
+  menu: ['read', 'create', 'update', 'delete'],
+  category: ['read', 'create', 'update', 'delete'],
+  gallery: ['read', 'upload', 'update', 'delete'],
+  banner: ['read', 'create', 'update', 'delete', 'publish'],
+  pdf: ['read', 'upload', 'delete'],
+  link: ['read', 'create', 'update', 'delete'],
+  social: ['read', 'create', 'update', 'delete'],
+  user: ['read', 'manage'],
+  permission: ['manage'],
+  settings: ['manage'],
+  apikey: ['manage'],
+  audit: ['read'],
+  schedule: ['read', 'run'],
+  search: ['manage'],
+  locale: ['manage'],
+  media: ['cleanup'],
+};
+
+const ALL_CAPABILITIES = Object.entries(CAPABILITIES).flatMap(
+  ([resource, actions]) => actions.map((action) => `${resource}:${action}`)
+);
+
+// Content read access; user and audit data and the unpublished schedule stay with staff
+const readOnly = ALL_CAPABILITIES.filter(
+  (capability) =>
+    capability.endsWith(':read') &&
+    !['user:read', 'audit:read', 'schedule:read'].includes(capability)
+);
+
+// Defaults used until SUPERADMIN stores an override for a role
+const DEFAULT_ROLE_CAPABILITIES = {
+  SUPERADMIN: ALL_CAPABILITIES,
+  ADMIN: ALL_CAPABILITIES.filter((capability) => capability !== 'permission:manage'),
+  EDITOR: [
+    ...readOnly,
+    'schedule:read',
+    'post:create',
+    'post:update',
+    'page:create',
+    'page:update',
+    'gallery:upload',
+    'gallery:update',
+    'pdf:upload',
+  ],
+  USER: readOnly,
+};
+
+const ROLES = Object.keys(DEFAULT_ROLE_CAPABILITIES);
+
+const ROLE_RANK = { SUPERADMIN: 3, ADMIN: 2, EDITOR: 1, USER: 0 };
+
+// SUPERADMIN manages everyone, other roles only manage roles below their own
+const canManageRole = (actorRole, targetRole) =>
+  actorRole === 'SUPERADMIN' || ROLE_RANK[actorRole] > ROLE_RANK[targetRole];
+
+// Role lookups hit the database at most once per TTL per role
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const isValidCapability = (capability) => ALL_CAPABILITIES.includes(capability);
+
+const getRoleCapabilities = async (role) => {
+  // SUPERADMIN can never be locked out of the matrix
+  if (role === 'SUPERADMIN') return ALL_CAPABILITIES;
+
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) return cached.capabilities;
+
+  const overrides = await prisma.rolePermission.findMany({
+    where: { role },
+    select: { capability: true },
+  });
+
+  const capabilities = overrides.length
+    ? overrides.map((row) => row.capability).filter(isValidCapability)
+    : DEFAULT_ROLE_CAPABILITIES[role] || [];
+
+  cache.set(role, { capabilities, expiresAt: Date.now() + CACHE_TTL_MS });
+  return capabilities;
+};
+
+const getMatrix = async () => {
+  const entries = await Promise.all(
+    ROLES.map(async (role) => [role, await getRoleCapabilities(role)])
+  );
+  return Object.fromEntries(entries);
+};
+
+const setRoleCapabilities = async (role, capabilities) => {
+  const unique = [...new Set(capabilities)];
+
+  await prisma.$transaction([
+    prisma.rolePermission.deleteMany({ where: { role } }),
+    prisma.rolePermission.createMany({
+      data: unique.map((capability) => ({ role, capability })),
+    }),
+  ]);
+
+  cache.delete(role);
+  return getRoleCapabilities(role);
+};
+
+const resetRoleCapabilities = async (role) => {
+  await prisma.rolePermission.deleteMany({ where: { role } });
+  cache.delete(role);
+  return getRoleCapabilities(role);
+};
+
+module.exports = {
+  CAPABILITIES,
+  ALL_CAPABILITIES,
+  DEFAULT_ROLE_CAPABILITIES,
+  ROLES,
+  ROLE_RANK,
+  canManageRole,
+  isValidCapability,
+  getRoleCapabilities,
+  getMatrix,
+  setRoleCapabilities,
+  resetRoleCapabilities,
+};
@@ -0,0 +1,67 @@
+const prisma = require('./db.service');
+const { onModelChange } = require('./modelEvents');
+const { diffFields } = require('../utils/diff');
+const { createWithNextNumber } = require('../utils/sequence');
+
+// Fields captured in every revision; a save touching none of them is not a revision
+const REVISION_FIELDS = [
+  'titleEn',
+  'titleBn',
+  'contentEn',
+  'contentBn',
+  'coverImage',
+  'categoryId',
+  'status',
+  'isFeatured',
+];
+
+const snapshot = (post) =>
+  Object.fromEntries(REVISION_FIELDS.map((field) => [field, post[field]]));
+
+const recordRevision = async ({ model, action, before, after, context }) => {
+  if (model !== 'Post' || action === 'delete') return;
+  if (before && !Object.keys(diffFields(before, after, { fields: REVISION_FIELDS })).length) return;
+
+  const latestRevision = async () => {
+    const { _max } = await prisma.postRevision.aggregate({
+      where: { postId: after.id },
+      _max: { revisionNumber: true },
+    });
+    return _max.revisionNumber;
+  };
+
+  // Posts created before revisions existed get their previous state kept as revision 1
+  if (before) {
+    await createWithNextNumber(latestRevision, (revisionNumber) =>
+      revisionNumber === 1
+        ? prisma.postRevision.create({
+            data: {
+              postId: before.id,
+              revisionNumber,
+              ...snapshot(before),
+              authorId: before.userId,
+              note: 'Initial state',
+            },
+          })
+        : null
+    );
+  }
+
+  await createWithNextNumber(latestRevision, (revisionNumber) =>
+    prisma.postRevision.create({
+      data: {
+        postId: after.id,
+        revisionNumber,
+        ...snapshot(after),
+        authorId: context.user?.id ?? after.userId,
+        note: context.revisionNote,
+      },
+    })
+  );
+};
+
+const diffRevisions = (from, to) => diffFields(from, to, { fields: REVISION_FIELDS });
+
+onModelChange(recordRevision);
+
+module.exports = { REVISION_FIELDS, diffRevisions };
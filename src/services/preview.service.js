@@ -0,0 +1,49 @@
+const jwt = require('jsonwebtoken');
+
+const PREVIEW_TOKEN_TTL_SECONDS = parseInt(process.env.PREVIEW_TOKEN_TTL_MINUTES || '60') * 60;
+
+// Signed link granting read access to one unpublished item until it expires
+const createPreviewToken = (type, id, userId) => {
+  const token = jwt.sign(
+    { purpose: 'preview', type, id, userId },
+    process.env.JWT_SECRET,
+    { expiresIn: PREVIEW_TOKEN_TTL_SECONDS }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + PREVIEW_TOKEN_TTL_SECONDS * 1000),
+  };
+};
+
+// True only for an unexpired preview token issued for exactly this item
+const verifyPreviewToken = (token, type, id) => {
+  if (!token) return false;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'preview' && decoded.type === type && decoded.id === id;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Preview token from the query string or the X-Preview-Token header
+const getPreviewToken = (req) => req.query.preview || req.get('x-preview-token');
+
+// Preview responses must never end up in a shared cache
+const markPreview = (res) => {
+  res.set({
+    'X-Preview': 'true',
+    'Cache-Control': 'no-store, private',
+    'X-Robots-Tag': 'noindex',
+  });
+};
+
+module.exports = {
+  PREVIEW_TOKEN_TTL_SECONDS,
+  createPreviewToken,
+  verifyPreviewToken,
+  getPreviewToken,
+  markPreview,
+};
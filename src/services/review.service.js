@@ -0,0 +1,147 @@
+const prisma = require('./db.service');
+
+// Content types that go through editorial review, keyed by the URL segment
+const REVIEWABLE = {
+  post: { delegate: 'post', foreignKey: 'postId', titleField: 'titleEn', ownerField: 'userId' },
+  page: { delegate: 'page', foreignKey: 'pageId', titleField: 'titleEn', ownerField: 'createdById' },
+};
+
+// Which workflow states each action may start from
+const TRANSITIONS = {
+  submit: {
+    from: ['DRAFT', 'CHANGES_REQUESTED'],
+    to: 'IN_REVIEW',
+    action: 'SUBMIT',
+    message: 'Submitted for review',
+  },
+  approve: { from: ['IN_REVIEW'], to: 'APPROVED', action: 'APPROVE', message: 'Approved' },
+  reject: {
+    from: ['IN_REVIEW'],
+    to: 'CHANGES_REQUESTED',
+    action: 'REJECT',
+    message: 'Changes requested',
+  },
+};
+
+const commentAuthor = { select: { id: true, username: true, role: true } };
+
+const isReviewable = (type) => Object.prototype.hasOwnProperty.call(REVIEWABLE, type);
+
+// Publishing outside the review flow counts as approval by the publisher
+const workflowFor = (status) => (status === 'PUBLISHED' ? { workflowState: 'APPROVED' } : {});
+
+// Editors who cannot publish may not change live content, and their edits void a
+// pending review or approval and cancel a scheduled publish, which would otherwise
+// put the unreviewed edit live. Returns the fields to save with the edit, or null
+// when it has to be refused.
+const workflowForEdit = (item, canPublish) => {
+  if (canPublish) return {};
+  if (item.status === 'PUBLISHED') return null;
+  return {
+    ...(['IN_REVIEW', 'APPROVED'].includes(item.workflowState) && { workflowState: 'DRAFT' }),
+    ...(item.publishAt && { publishAt: null }),
+  };
+};
+
+const addComment = (type, id, { authorId, body, action = 'COMMENT' }) =>
+  prisma.reviewComment.create({
+    data: {
+      [REVIEWABLE[type].foreignKey]: id,
+      action,
+      body,
+      authorId,
+    },
+    include: { author: commentAuthor },
+  });
+
+const listComments = (type, id) =>
+  prisma.reviewComment.findMany({
+    where: { [REVIEWABLE[type].foreignKey]: id },
+    include: { author: commentAuthor },
+    orderBy: { createdAt: 'asc' },
+  });
+
+// Move an item through the workflow. The state guard is part of the update,
+// so two reviewers acting at once cannot both succeed.
+const transition = async (type, id, name, { userId, comment }) => {
+  const config = REVIEWABLE[type];
+  const { from, to, action } = TRANSITIONS[name];
+
+  const item = await prisma[config.delegate].findUnique({
+    where: { id },
+    select: { id: true, workflowState: true, publishAt: true },
+  });
+  if (!item) return { status: 404, message: `${type} not found` };
+
+  const data = { workflowState: to };
+  if (name === 'submit') data.submittedAt = new Date();
+
+  // Approval publishes now, or leaves a future publishAt to the scheduler
+  if (name === 'approve' && !(item.publishAt && item.publishAt > new Date())) {
+    data.status = 'PUBLISHED';
+  }
+
+  const { count } = await prisma[config.delegate].updateMany({
+    where: { id, workflowState: { in: from } },
+    data,
+  });
+
+  if (!count) {
+    return {
+      status: 409,
+      message: `Cannot ${name} an item that is ${item.workflowState.toLowerCase().replace('_', ' ')}`,
+    };
+  }
+
+  await addComment(type, id, { authorId: userId, body: comment, action });
+
+  return { item: await prisma[config.delegate].findUnique({ where: { id } }) };
+};
+
+// Items waiting for review, oldest submission first
+const getReviewQueue = async (types, state = 'IN_REVIEW') => {
+  const queues = await Promise.all(
+    types.map(async (type) => {
+      const config = REVIEWABLE[type];
+      const rows = await prisma[config.delegate].findMany({
+        where: { workflowState: state },
+        select: {
+          id: true,
+          status: true,
+          workflowState: true,
+          submittedAt: true,
+          updatedAt: true,
+          [config.titleField]: true,
+          [config.ownerField]: true,
+          _count: { select: { reviewComments: true } },
+        },
+      });
+
+      return rows.map(({ _count, ...row }) => ({
+        type,
+        id: row.id,
+        title: row[config.titleField],
+        ownerId: row[config.ownerField],
+        status: row.status,
+        workflowState: row.workflowState,
+        submittedAt: row.submittedAt,
+        updatedAt: row.updatedAt,
+        comments: _count.reviewComments,
+      }));
+    })
+  );
+
+  return queues.flat().sort((a, b) => (a.submittedAt || a.updatedAt) - (b.submittedAt || b.updatedAt));
+};
+
+module.exports = {
+  REVIEWABLE,
+  TRANSITIONS,
+  isReviewable,
+  workflowFor,
+  workflowForEdit,
+  addComment,
+  listComments,
+  transition,
+  getReviewQueue,
+};
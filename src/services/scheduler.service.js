@@ -0,0 +1,159 @@
+const prisma = require('./db.service');
+
+// Models with publishAt/unpublishAt and the status each transition moves them to
+const SCHEDULED_MODELS = {
+  post: { type: 'Post', titleField: 'titleEn', published: 'PUBLISHED', expired: 'ARCHIVED' },
+  page: { type: 'Page', titleField: 'titleEn', published: 'PUBLISHED', expired: 'ARCHIVED' },
+  banner: { type: 'Banner', titleField: 'titleEn', published: 'PUBLISHED', expired: 'UNPUBLISHED' },
+};
+
+let timer = null;
+let running = false;
+
+// Apply every transition that is due. State lives in the database, so a pass
+// after a restart catches up on anything missed while the server was down.
+const runDueTransitions = async (now = new Date()) => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const summary = {};
+
+    for (const [delegate, config] of Object.entries(SCHEDULED_MODELS)) {
+      const model = prisma[delegate];
+
+      const published = await model.updateMany({
+        where: {
+          publishAt: { lte: now },
+          OR: [{ unpublishAt: null }, { unpublishAt: { gt: now } }],
+        },
+        data: { status: config.published, publishAt: null },
+      });
+
+      const expired = await model.updateMany({
+        where: { unpublishAt: { lte: now }, status: config.published },
+        data: { status: config.expired, publishAt: null, unpublishAt: null },
+      });
+
+      // A window that closed before it ever opened is simply dropped
+      await model.updateMany({
+        where: { unpublishAt: { lte: now } },
+        data: { publishAt: null, unpublishAt: null },
+      });
+
+      summary[config.type] = { published: published.count, unpublished: expired.count };
+    }
+
+    return summary;
+  } finally {
+    running = false;
+  }
+};
+
+// Upcoming transitions across all scheduled models, soonest first
+const getPendingQueue = async () => {
+  const queues = await Promise.all(
+    Object.entries(SCHEDULED_MODELS).map(async ([delegate, config]) => {
+      const rows = await prisma[delegate].findMany({
+        where: { OR: [{ publishAt: { not: null } }, { unpublishAt: { not: null } }] },
+        select: {
+          id: true,
+          status: true,
+          publishAt: true,
+          unpublishAt: true,
+          [config.titleField]: true,
+        },
+      });
+
+      return rows.flatMap((row) =>
+        [
+          row.publishAt && { action: 'publish', at: row.publishAt },
+          row.unpublishAt && { action: 'unpublish', at: row.unpublishAt },
+        ]
+          .filter(Boolean)
+          .map((transition) => ({
+            type: config.type,
+            id: row.id,
+            title: row[config.titleField],
+            status: row.status,
+            ...transition,
+          }))
+      );
+    })
+  );
+
+  return queues.flat().sort((a, b) => a.at - b.at);
+};
+
+// Validate publishAt/unpublishAt from a request body; null clears a value
+const parseSchedule = (body) => {
+  const data = {};
+
+  for (const field of ['publishAt', 'unpublishAt']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      data[field] = null;
+      continue;
+    }
+
+    const date = new Date(body[field]);
+    if (isNaN(date)) {
+      return { error: `${field} must be a valid date` };
+    }
+    data[field] = date;
+  }
+
+  if (!Object.keys(data).length) {
+    return { error: 'publishAt or unpublishAt is required' };
+  }
+
+  return { data };
+};
+
+// Set or clear the schedule of one record; returns null when it does not exist
+const applySchedule = async (delegate, id, body) => {
+  const { data, error } = parseSchedule(body);
+  if (error) return { error };
+
+  const existing = await prisma[delegate].findUnique({
+    where: { id },
+    select: { publishAt: true, unpublishAt: true },
+  });
+  if (!existing) return null;
+
+  const { publishAt, unpublishAt } = { ...existing, ...data };
+  if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+    return { error: 'unpublishAt must be after publishAt' };
+  }
+
+  const record = await prisma[delegate].update({ where: { id }, data });
+  return { record };
+};
+
+const startScheduler = () => {
+  if (timer) return;
+
+  const tick = () =>
+    runDueTransitions().catch((error) => console.error('Scheduler run failed:', error));
+
+  const intervalMs = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS || '60') * 1000;
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  SCHEDULED_MODELS,
+  runDueTransitions,
+  getPendingQueue,
+  parseSchedule,
+  applySchedule,
+  startScheduler,
+  stopScheduler,
+};
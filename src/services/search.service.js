@@ -0,0 +1,316 @@
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const prisma = require('./db.service');
+const { onModelChange } = require('./modelEvents');
+const { isColumnLocale } = require('./locale.service');
+const { readPdf } = require('./pdfFile.service');
+const { normalizeText, htmlToText, tokenize, buildSnippet } = require('../utils/text');
+
+// Indexed models and the entityType they are stored under
+const MODEL_TYPES = { Post: 'post', Page: 'page', Pdf: 'pdf' };
+const SEARCH_TYPES = Object.values(MODEL_TYPES);
+const CATEGORY_TYPES = ['NEWS', 'ARTICLES', 'RESEARCH', 'PUBLICATIONS', 'OTHER'];
+
+const BENGALI = /[\u0980-\u09ff]/;
+const MAX_QUERY_TOKENS = 10;
+const MAX_CANDIDATES = 500;
+const REINDEX_BATCH = { post: 100, page: 50, pdf: 10 };
+
+const getCategoryType = async (categoryId) => {
+  if (!categoryId) return null;
+  const category = await prisma.category.findUnique({
+    where: { id: categoryId },
+    select: { type: true },
+  });
+  return category?.type ?? null;
+};
+
+// Page builder output is stored as { content: { html, css, ... } }
+const templateText = (template) => htmlToText(template?.content?.html);
+
+const extractPdfText = async (pdf) => {
+  try {
+    const content = await readPdf(pdf);
+    if (!content) return '';
+    const { text } = await pdfParse(content);
+    return text.replace(/\s+/g, ' ').trim();
+  } catch (error) {
+    console.error('Error extracting PDF text:', error);
+    return '';
+  }
+};
+
+// Turn a record into its index row; pdfText skips re-parsing an unchanged file
+const DOCUMENT_BUILDERS = {
+  Post: async (post) => ({
+    titleEn: post.titleEn,
+    titleBn: post.titleBn,
+    bodyEn: htmlToText(post.contentEn),
+    bodyBn: htmlToText(post.contentBn),
+    slug: post.slug,
+    status: post.status,
+    isPublic: post.status === 'PUBLISHED',
+    categoryId: post.categoryId,
+    categoryType: await getCategoryType(post.categoryId),
+    contentDate: post.createdAt,
+  }),
+  Page: async (page) => ({
+    titleEn: page.titleEn,
+    titleBn: page.titleBn,
+    bodyEn: templateText(page.templateEn),
+    bodyBn: templateText(page.templateBn),
+    slug: page.slug,
+    status: page.status,
+    isPublic: page.status === 'PUBLISHED',
+    categoryId: null,
+    categoryType: null,
+    contentDate: page.createdAt,
+  }),
+  Pdf: async (pdf, pdfText) => {
+    const text = pdfText ?? (await extractPdfText(pdf));
+    const isBengali = BENGALI.test(text);
+
+    return {
+      titleEn: pdf.fileName,
+      titleBn: pdf.fileName,
+      bodyEn: isBengali ? null : text,
+      bodyBn: isBengali ? text : null,
+      slug: pdf.fileId,
+      status: pdf.status,
+      isPublic: pdf.status === 'ACTIVE',
+      categoryId: pdf.categoryId,
+      categoryType: await getCategoryType(pdf.categoryId),
+      contentDate: pdf.createdAt,
+    };
+  },
+};
+
+const indexRecord = async (model, record, pdfText) => {
+  const entityType = MODEL_TYPES[model];
+  const document = await DOCUMENT_BUILDERS[model](record, pdfText);
+  const terms = tokenize(
+    [document.titleEn, document.titleBn, document.bodyEn, document.bodyBn].join(' ')
+  ).join(' ');
+
+  await prisma.searchDocument.upsert({
+    where: { entityType_entityId: { entityType, entityId: record.id } },
+    create: { entityType, entityId: record.id, ...document, terms },
+    update: { ...document, terms },
+  });
+};
+
+const updateIndex = async ({ model, action, before, after }) => {
+  // Category type is denormalised onto documents for filtering
+  if (model === 'Category' && action === 'update' && before.type !== after.type) {
+    await prisma.searchDocument.updateMany({
+      where: { categoryId: after.id },
+      data: { categoryType: after.type },
+    });
+    return;
+  }
+
+  const entityType = MODEL_TYPES[model];
+  if (!entityType) return;
+
+  if (action === 'delete') {
+    await prisma.searchDocument.deleteMany({ where: { entityType, entityId: before.id } });
+    return;
+  }
+
+  let pdfText;
+  if (
+    model === 'Pdf' &&
+    before &&
+    before.storageKey === after.storageKey &&
+    before.fileData === after.fileData
+  ) {
+    const existing = await prisma.searchDocument.findUnique({
+      where: { entityType_entityId: { entityType, entityId: after.id } },
+      select: { bodyEn: true, bodyBn: true },
+    });
+    if (existing) pdfText = existing.bodyEn ?? existing.bodyBn ?? '';
+  }
+
+  await indexRecord(model, after, pdfText);
+};
+
+// Rebuild the whole index in batches, dropping rows for records that are gone
+const reindexAll = async () => {
+  const summary = {};
+
+  for (const [model, entityType] of Object.entries(MODEL_TYPES)) {
+    const delegate = prisma[entityType];
+    let cursor = 0;
+    let count = 0;
+
+    for (;;) {
+      const records = await delegate.findMany({
+        where: { id: { gt: cursor } },
+        orderBy: { id: 'asc' },
+        take: REINDEX_BATCH[entityType],
+      });
+      if (!records.length) break;
+
+      for (const record of records) {
+        await indexRecord(model, record);
+      }
+      count += records.length;
+      cursor = records[records.length - 1].id;
+    }
+
+    const ids = (await delegate.findMany({ select: { id: true } })).map((row) => row.id);
+    await prisma.searchDocument.deleteMany({
+      where: { entityType, entityId: { notIn: ids } },
+    });
+
+    summary[entityType] = count;
+  }
+
+  return summary;
+};
+
+// Validate search query params shared by the public and admin endpoints
+const parseSearchQuery = (query) => {
+  const q = String(query.q || '').trim();
+  if (!tokenize(q).length) {
+    return { error: 'A search query of at least two characters is required' };
+  }
+
+  const types = query.type
+    ? String(query.type).split(',').map((type) => type.trim().toLowerCase())
+    : SEARCH_TYPES;
+  if (types.some((type) => !SEARCH_TYPES.includes(type))) {
+    return { error: `type must be one of ${SEARCH_TYPES.join(', ')}` };
+  }
+
+  const categoryType = query.categoryType && String(query.categoryType).toUpperCase();
+  if (categoryType && !CATEGORY_TYPES.includes(categoryType)) {
+    return { error: `categoryType must be one of ${CATEGORY_TYPES.join(', ')}` };
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  // Only the built-in locales have their own indexed bodies
+  const lang = isColumnLocale(query.lang) ? query.lang : null;
+
+  return { options: { q, types, categoryType, from, to, lang } };
+};
+
+const countOccurrences = (text, token) => Math.min(text.split(token).length - 1, 10);
+
+// Title hits outweigh body hits; an exact phrase match earns a bonus
+const scoreDocument = (document, tokens, phrase) => {
+  const title = normalizeText(`${document.titleEn || ''} ${document.titleBn || ''}`);
+  const body = normalizeText(`${document.bodyEn || ''} ${document.bodyBn || ''}`);
+
+  let score = tokens.reduce((total, token) => {
+    if (!title.includes(token) && !body.includes(token)) return total;
+    return total + 1 + countOccurrences(title, token) * 10 + countOccurrences(body, token);
+  }, 0);
+
+  if (tokens.length > 1) {
+    if (title.includes(phrase)) score += 20;
+    else if (body.includes(phrase)) score += 5;
+  }
+
+  return score;
+};
+
+const pickSnippet = (document, tokens, lang) => {
+  const bodies = lang === 'bn' ? [document.bodyBn, document.bodyEn] : [document.bodyEn, document.bodyBn];
+  const titles =
+    lang === 'bn' ? [document.titleBn, document.titleEn] : [document.titleEn, document.titleBn];
+
+  for (const text of [...bodies, ...titles]) {
+    const snippet = buildSnippet(text, tokens);
+    if (snippet) return snippet;
+  }
+  return null;
+};
+
+// Every token must match; if that finds nothing, any token may match. Only the
+// newest MAX_CANDIDATES matches are ranked, which `truncated` reports.
+const search = async (
+  { q, types, categoryType, from, to, lang },
+  { includeDrafts = false, status, pagination }
+) => {
+  const tokens = tokenize(q).slice(0, MAX_QUERY_TOKENS);
+  const phrase = tokens.join(' ');
+
+  const where = {
+    entityType: { in: types },
+    ...(!includeDrafts && { isPublic: true }),
+    ...(status && { status }),
+    ...(categoryType && { categoryType }),
+    ...((from || to) && {
+      contentDate: {
+        ...(from && { gte: from }),
+        ...(to && { lte: to }),
+      },
+    }),
+  };
+
+  const findCandidates = (combine) =>
+    prisma.searchDocument.findMany({
+      where: { ...where, [combine]: tokens.map((token) => ({ terms: { contains: token } })) },
+      select: {
+        entityType: true,
+        entityId: true,
+        titleEn: true,
+        titleBn: true,
+        bodyEn: true,
+        bodyBn: true,
+        slug: true,
+        status: true,
+        categoryType: true,
+        contentDate: true,
+      },
+      orderBy: [{ contentDate: 'desc' }, { id: 'desc' }],
+      take: MAX_CANDIDATES,
+    });
+
+  let candidates = await findCandidates('AND');
+  if (!candidates.length && tokens.length > 1) {
+    candidates = await findCandidates('OR');
+  }
+
+  const ranked = candidates
+    .map((document) => ({ document, score: scoreDocument(document, tokens, phrase) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.document.contentDate - a.document.contentDate);
+
+  const results = ranked
+    .slice(pagination.skip, pagination.skip + pagination.limit)
+    .map(({ document, score }) => ({
+      type: document.entityType,
+      id: document.entityId,
+      slug: document.slug,
+      titleEn: document.titleEn,
+      titleBn: document.titleBn,
+      snippet: pickSnippet(document, tokens, lang),
+      categoryType: document.categoryType,
+      date: document.contentDate,
+      score,
+      ...(includeDrafts && { status: document.status }),
+    }));
+
+  return {
+    results,
+    total: ranked.length,
+    candidateLimit: MAX_CANDIDATES,
+    truncated: candidates.length === MAX_CANDIDATES,
+  };
+};
+
+onModelChange(updateIndex);
+
+module.exports = {
+  SEARCH_TYPES,
+  CATEGORY_TYPES,
+  parseSearchQuery,
+  search,
+  reindexAll,
+};
@@ -0,0 +1,130 @@
+const prisma = require('./db.service');
+const { createSecureToken, hashSecureToken } = require('../utils/secureToken');
+
+const REFRESH_TOKEN_TTL_MS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7') * 24 * 60 * 60 * 1000;
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const createSession = async (userId, req) => {
+  const refreshToken = createSecureToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      refreshTokenHash: hashSecureToken(refreshToken),
+      userAgent: req.get('user-agent')?.slice(0, 500),
+      ipAddress: req.ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    },
+  });
+
+  return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one. Presenting an already rotated token
+// means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashSecureToken(refreshToken);
+
+  const reused = await prisma.session.findUnique({
+    where: { previousTokenHash: tokenHash },
+  });
+  if (reused) {
+    await revokeSession(reused.id);
+    throw sessionError('Refresh token reuse detected, session revoked');
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: { select: { id: true, role: true, isActive: true } } },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw sessionError('Session expired');
+  }
+
+  if (!session.user.isActive) {
+    await revokeSession(session.id);
+    throw sessionError('User not found or inactive');
+  }
+
+  // Only one request can swap a given token; whoever loses the race presented
+  // a token that is already rotated, which is treated as reuse
+  const nextToken = createSecureToken();
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      previousTokenHash: tokenHash,
+      refreshTokenHash: hashSecureToken(nextToken),
+      lastUsedAt: new Date(),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')?.slice(0, 500),
+    },
+  });
+
+  if (count !== 1) {
+    await revokeSession(session.id);
+    throw sessionError('Refresh token reuse detected, session revoked');
+  }
+
+  const updated = await prisma.session.findUnique({ where: { id: session.id } });
+
+  return { session: updated, user: session.user, refreshToken: nextToken };
+};
+
+const findActiveSession = (sessionId) =>
+  prisma.session.findFirst({
+    where: { id: sessionId, revokedAt: null, expiresAt: { gt: new Date() } },
+  });
+
+const revokeSession = (sessionId) =>
+  prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+const revokeSessionByToken = (refreshToken) =>
+  prisma.session.updateMany({
+    where: { refreshTokenHash: hashSecureToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+const revokeUserSessions = (userId, exceptSessionId) =>
+  prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date() },
+  });
+
+const listActiveSessions = (userId) =>
+  prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateSession,
+  findActiveSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,60 @@
+const prisma = require('./db.service');
+
+// Every runtime setting with its default; stored values must keep the same type
+const DEFAULT_SETTINGS = {
+  'auth.requireEmailVerification': false,
+  'auth.requireTwoFactorRoles': [],
+  'templateVersions.keep': 50,
+  'templateVersions.maxAgeDays': 0,
+  'media.orphanGraceHours': 24,
+};
+
+// Settings that need a capability beyond settings:manage
+const RESTRICTED_SETTINGS = {
+  'auth.requireTwoFactorRoles': 'permission:manage',
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+const loadSettings = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.values;
+
+  const rows = await prisma.setting.findMany();
+  const values = { ...DEFAULT_SETTINGS };
+  rows.forEach((row) => {
+    if (row.key in DEFAULT_SETTINGS) values[row.key] = row.value;
+  });
+
+  cache = { values, expiresAt: Date.now() + CACHE_TTL_MS };
+  return values;
+};
+
+const getSetting = async (key) => (await loadSettings())[key];
+
+const getAllSettings = loadSettings;
+
+const isValidSetting = (key, value) =>
+  key in DEFAULT_SETTINGS &&
+  (Array.isArray(DEFAULT_SETTINGS[key])
+    ? Array.isArray(value)
+    : typeof value === typeof DEFAULT_SETTINGS[key]);
+
+const setSetting = async (key, value, userId) => {
+  await prisma.setting.upsert({
+    where: { key },
+    create: { key, value, updatedById: userId },
+    update: { value, updatedById: userId },
+  });
+  cache = null;
+  return getSetting(key);
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  RESTRICTED_SETTINGS,
+  getSetting,
+  getAllSettings,
+  isValidSetting,
+  setSetting,
+};
@@ -0,0 +1,29 @@
+// Storage backend selected by STORAGE_DRIVER (local or s3). Media lives in the
+// public area and gets a URL; PDFs live in the private area and are streamed by
+// the API. Every driver exposes put, get, remove, removePrefix, list and url.
+const DRIVERS = {
+  local: () => require('./local.driver'),
+  s3: () => require('./s3.driver'),
+};
+
+const VISIBILITIES = ['public', 'private'];
+
+const instances = {};
+
+const getDriverName = () => process.env.STORAGE_DRIVER || 'local';
+
+const getStorage = (visibility = 'public') => {
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new Error(`Unknown storage visibility: ${visibility}`);
+  }
+
+  const name = getDriverName();
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  instances[`${name}:${visibility}`] ||= DRIVERS[name]()({ visibility });
+  return instances[`${name}:${visibility}`];
+};
+
+module.exports = { getDriverName, getStorage };
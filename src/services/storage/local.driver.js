@@ -0,0 +1,80 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Public files are served by the /uploads static route; private ones only through the API
+const ROOTS = {
+  public: () => process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'public', 'uploads'),
+  private: () =>
+    process.env.STORAGE_LOCAL_PRIVATE_ROOT || path.join(process.cwd(), 'storage', 'private'),
+};
+
+const createLocalStorage = ({ visibility }) => {
+  const root = path.resolve(ROOTS[visibility]());
+
+  // Keys are relative paths; refuse anything that escapes the root
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  const put = async (key, body) => {
+    const file = resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, body);
+    return { key, size: body.length, url: url(key) };
+  };
+
+  const get = async (key) => {
+    try {
+      return await fs.readFile(resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const remove = (key) => fs.rm(resolve(key), { force: true });
+
+  const removePrefix = (prefix) => fs.rm(resolve(prefix), { recursive: true, force: true });
+
+  // Every file under a prefix, with its size and modification time
+  const list = async (prefix = '') => {
+    const files = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(file);
+        } else if (entry.isFile()) {
+          const stat = await fs.stat(file);
+          files.push({
+            key: path.relative(root, file).split(path.sep).join('/'),
+            size: stat.size,
+            lastModified: stat.mtime,
+          });
+        }
+      }
+    };
+
+    await walk(prefix ? resolve(prefix) : root);
+    return files;
+  };
+
+  const url = (key) =>
+    visibility === 'public' ? `${process.env.UPLOADS_BASE_URL || ''}/uploads/${key}` : null;
+
+  return { driver: 'local', visibility, put, get, remove, removePrefix, list, url };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,115 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+
+// One bucket for both visibilities, split by key prefix so a bucket policy can
+// allow anonymous reads on the public/ prefix only
+const createS3Storage = ({ visibility }) => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      },
+    }),
+  });
+
+  const prefix = `${visibility}/`;
+  const objectKey = (key) => `${prefix}${key}`;
+
+  const put = async (key, body, { contentType } = {}) => {
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: body,
+        ContentType: contentType,
+        ...(visibility === 'public' && { CacheControl: 'public, max-age=31536000, immutable' }),
+      })
+    );
+    return { key, size: body.length, url: url(key) };
+  };
+
+  const get = async (key) => {
+    try {
+      const { Body } = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+      );
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey') return null;
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+  };
+
+  const list = async (keyPrefix = '') => {
+    const files = [];
+    let ContinuationToken;
+
+    do {
+      const page = await client.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: objectKey(keyPrefix),
+          ContinuationToken,
+        })
+      );
+      (page.Contents || []).forEach((object) => {
+        files.push({
+          key: object.Key.slice(prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified,
+        });
+      });
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return files;
+  };
+
+  // DeleteObjects takes at most 1000 keys per request
+  const removePrefix = async (keyPrefix) => {
+    const folder = keyPrefix.endsWith('/') ? keyPrefix : `${keyPrefix}/`;
+    const keys = (await list(folder)).map((file) => ({ Key: objectKey(file.key) }));
+
+    for (let i = 0; i < keys.length; i += 1000) {
+      await client.send(
+        new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000), Quiet: true },
+        })
+      );
+    }
+  };
+
+  const url = (key) => {
+    if (visibility !== 'public') return null;
+    const base =
+      process.env.S3_PUBLIC_URL ||
+      (process.env.S3_ENDPOINT
+        ? `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`);
+    return `${base.replace(/\/$/, '')}/${objectKey(key)}`;
+  };
+
+  return { driver: 's3', visibility, put, get, remove, removePrefix, list, url };
+};
+
+module.exports = createS3Storage;
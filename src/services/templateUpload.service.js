@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const prisma = require('./db.service');
+const { saveTemplate } = require('./pageTemplate.service');
+const { isActiveLocale } = require('./locale.service');
+
+const UPLOAD_TTL_MS = parseInt(process.env.TEMPLATE_UPLOAD_TTL_HOURS || '24') * 60 * 60 * 1000;
+const MAX_CHUNKS = 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+
+const isChecksum = (value) => typeof value === 'string' && /^[a-f0-9]{64}$/i.test(value);
+
+// Uploads and their chunks are removed once they expire, finished or not
+const cleanupExpiredUploads = async () => {
+  const { count } = await prisma.templateUpload.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return count;
+};
+
+// Load an upload the caller started; expired or foreign uploads are not visible
+const findUpload = async (uploadId, userId, { allowCompleted = false } = {}) => {
+  const upload = await prisma.templateUpload.findUnique({ where: { id: uploadId } });
+
+  if (!upload || upload.createdById !== userId) {
+    return { status: 404, message: 'Upload not found' };
+  }
+  if (upload.expiresAt < new Date()) {
+    return { status: 410, message: 'Upload has expired' };
+  }
+  if (upload.completedAt && !allowCompleted) {
+    return { status: 409, message: 'Upload is already complete' };
+  }
+  return { upload };
+};
+
+const createUpload = async (pageId, { language, totalChunks, checksum, note, userId }) => {
+  if (!(await isActiveLocale(language))) {
+    return { status: 400, message: 'Invalid language specified' };
+  }
+  if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_CHUNKS) {
+    return { status: 400, message: `totalChunks must be between 1 and ${MAX_CHUNKS}` };
+  }
+  if (checksum !== undefined && !isChecksum(checksum)) {
+    return { status: 400, message: 'checksum must be a SHA-256 hex digest' };
+  }
+
+  const page = await prisma.page.findUnique({ where: { id: pageId }, select: { id: true } });
+  if (!page) return { status: 404, message: 'Page not found' };
+
+  await cleanupExpiredUploads();
+
+  const upload = await prisma.templateUpload.create({
+    data: {
+      pageId,
+      language,
+      totalChunks,
+      checksum: checksum?.toLowerCase(),
+      note,
+      createdById: userId,
+      expiresAt: new Date(Date.now() + UPLOAD_TTL_MS),
+    },
+  });
+  return { upload };
+};
+
+// Received and missing chunk indexes, so a client can resume after a failure
+const getUploadStatus = async (upload) => {
+  const chunks = await prisma.templateUploadChunk.findMany({
+    where: { uploadId: upload.id },
+    select: { index: true },
+    orderBy: { index: 'asc' },
+  });
+  const received = new Set(chunks.map((chunk) => chunk.index));
+
+  return {
+    uploadId: upload.id,
+    pageId: upload.pageId,
+    language: upload.language,
+    totalChunks: upload.totalChunks,
+    received: received.size,
+    missing: Array.from({ length: upload.totalChunks }, (_, index) => index).filter(
+      (index) => !received.has(index)
+    ),
+    expiresAt: upload.expiresAt,
+    completedAt: upload.completedAt,
+  };
+};
+
+// Store one chunk; re-sending an index replaces it
+const putChunk = async (upload, index, { data, checksum }) => {
+  if (!Number.isInteger(index) || index < 0 || index >= upload.totalChunks) {
+    return { status: 400, message: `Chunk index must be between 0 and ${upload.totalChunks - 1}` };
+  }
+  if (typeof data !== 'string' || !data.length) {
+    return { status: 400, message: 'Chunk data is required' };
+  }
+  if (!isChecksum(checksum)) {
+    return { status: 400, message: 'checksum must be a SHA-256 hex digest' };
+  }
+  if (sha256(data) !== checksum.toLowerCase()) {
+    return { status: 422, message: 'Chunk checksum mismatch' };
+  }
+
+  await prisma.templateUploadChunk.upsert({
+    where: { uploadId_index: { uploadId: upload.id, index } },
+    create: { uploadId: upload.id, index, data, checksum: checksum.toLowerCase() },
+    update: { data, checksum: checksum.toLowerCase() },
+  });
+
+  return { progress: await getUploadStatus(upload) };
+};
+
+// Join the chunks in order, verify and parse them, and save the page template
+const saveUploadedTemplate = async (upload, { userId, workflow }) => {
+  const chunks = await prisma.templateUploadChunk.findMany({
+    where: { uploadId: upload.id },
+    orderBy: { index: 'asc' },
+  });
+
+  if (chunks.length !== upload.totalChunks) {
+    return {
+      status: 409,
+      message: 'Upload is missing chunks',
+      details: await getUploadStatus(upload),
+    };
+  }
+
+  const payload = chunks.map((chunk) => chunk.data).join('');
+  if (upload.checksum && sha256(payload) !== upload.checksum) {
+    return { status: 422, message: 'Upload checksum mismatch' };
+  }
+
+  let template;
+  try {
+    template = JSON.parse(payload);
+  } catch (error) {
+    return { status: 422, message: 'Uploaded template is not valid JSON' };
+  }
+
+  if (!template || !template.html) {
+    return { status: 422, message: 'Template content is required' };
+  }
+
+  const saved = await saveTemplate(upload.pageId, upload.language, template, {
+    userId,
+    note: upload.note,
+    workflow,
+  });
+  if (!saved) return { status: 404, message: 'Page not found' };
+
+  return { saved };
+};
+
+const releaseUpload = (upload) =>
+  prisma.templateUpload.update({ where: { id: upload.id }, data: { completedAt: null } });
+
+// The upload is claimed before anything is saved, so a repeated or concurrent
+// request cannot save the template twice. A failed attempt gives the claim back.
+const completeUpload = async (upload, { userId, workflow } = {}) => {
+  const { count } = await prisma.templateUpload.updateMany({
+    where: { id: upload.id, completedAt: null },
+    data: { completedAt: new Date() },
+  });
+  if (!count) return { status: 409, message: 'Upload is already complete' };
+
+  let result;
+  try {
+    result = await saveUploadedTemplate(upload, { userId, workflow });
+  } catch (error) {
+    await releaseUpload(upload);
+    throw error;
+  }
+
+  if (!result.saved) {
+    await releaseUpload(upload);
+    return result;
+  }
+
+  await prisma.templateUploadChunk.deleteMany({ where: { uploadId: upload.id } });
+  return result;
+};
+
+const abortUpload = (upload) => prisma.templateUpload.delete({ where: { id: upload.id } });
+
+module.exports = {
+  cleanupExpiredUploads,
+  findUpload,
+  createUpload,
+  getUploadStatus,
+  putChunk,
+  completeUpload,
+  abortUpload,
+};
@@ -0,0 +1,352 @@
+const prisma = require('./db.service');
+const { onModelChange } = require('./modelEvents');
+const { USAGE_SOURCES, refreshMediaUsage } = require('./mediaUsage.service');
+const { isReviewable, workflowForEdit } = require('./review.service');
+const {
+  isColumnLocale,
+  BUILT_IN_LOCALES,
+  seedBuiltInLocales,
+  getActiveLocales,
+} = require('./locale.service');
+
+// Translatable content, keyed by the entityType stored on Translation rows.
+// `required` fields decide whether a locale counts as complete.
+const TRANSLATABLE = {
+  post: { model: 'Post', delegate: 'post', fields: ['title', 'content'], required: ['title', 'content'] },
+  page: { model: 'Page', delegate: 'page', fields: ['title', 'template'], required: ['title', 'template'] },
+  category: { model: 'Category', delegate: 'category', fields: ['name'], required: ['name'] },
+  menu: { model: 'Menu', delegate: 'menu', fields: ['title'], required: ['title'] },
+  banner: { model: 'Banner', delegate: 'banner', fields: ['title', 'description'], required: ['title'] },
+  link: { model: 'FooterLink', delegate: 'footerLink', fields: ['name'], required: ['name'] },
+  social: { model: 'SocialLink', delegate: 'socialLink', fields: ['name'], required: ['name'] },
+  gallery: { model: 'Gallery', delegate: 'gallery', fields: ['alt', 'caption'], required: ['alt'] },
+};
+
+const MODEL_TYPES = Object.fromEntries(
+  Object.entries(TRANSLATABLE).map(([type, config]) => [config.model, type])
+);
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Legacy column holding a field for a built-in locale, e.g. title + bn -> titleBn
+const columnFor = (field, code) => `${field}${code.charAt(0).toUpperCase()}${code.slice(1)}`;
+
+const isTranslatable = (type) => Object.prototype.hasOwnProperty.call(TRANSLATABLE, type);
+
+// Store one translated value; an empty value removes the translation
+const setTranslationValue = (type, entityId, localeCode, field, value, userId) => {
+  const where = { entityType: type, entityId, localeCode, field };
+
+  if (isMissing(value)) {
+    return prisma.translation.deleteMany({ where });
+  }
+
+  return prisma.translation.upsert({
+    where: { entityType_entityId_localeCode_field: where },
+    create: { ...where, value, updatedById: userId },
+    update: { value, updatedById: userId },
+  });
+};
+
+// Recompute per-locale translation state after the given locales were edited.
+// Editing an up-to-date locale is a source change that makes the other
+// complete locales outdated; editing an outdated or missing locale catches it up.
+const recordLocaleEdits = async (type, entityId, editedCodes) => {
+  if (!editedCodes.length) return;
+
+  const { required } = TRANSLATABLE[type];
+  const [locales, rows, statuses] = await Promise.all([
+    getActiveLocales(),
+    prisma.translation.findMany({
+      where: { entityType: type, entityId, field: { in: required } },
+      select: { localeCode: true, field: true },
+    }),
+    prisma.translationStatus.findMany({ where: { entityType: type, entityId } }),
+  ]);
+
+  const isComplete = (code) =>
+    required.every((field) => rows.some((row) => row.localeCode === code && row.field === field));
+  const previous = (code) => statuses.find((status) => status.localeCode === code);
+  const sourceChanged = editedCodes.some((code) => previous(code)?.state === 'UP_TO_DATE');
+  const now = new Date();
+
+  for (const { code } of locales) {
+    const edited = editedCodes.includes(code);
+    const before = previous(code);
+
+    let state;
+    if (!isComplete(code)) state = 'MISSING';
+    else if (edited) state = 'UP_TO_DATE';
+    else if (sourceChanged && before?.state === 'UP_TO_DATE') state = 'OUTDATED';
+    else state = before?.state || 'UP_TO_DATE';
+
+    if (!edited && before?.state === state) continue;
+
+    const data = {
+      state,
+      outdatedSince: state === 'OUTDATED' ? before?.outdatedSince || now : null,
+      ...(edited && { translatedAt: now }),
+    };
+
+    await prisma.translationStatus.upsert({
+      where: { entityType_entityId_localeCode: { entityType: type, entityId, localeCode: code } },
+      create: { entityType: type, entityId, localeCode: code, ...data },
+      update: data,
+    });
+  }
+};
+
+// Mirror the *En/*Bn columns of a record into Translation rows
+const syncColumns = async (type, record, { before, userId } = {}) => {
+  const edited = new Set();
+
+  for (const { code } of BUILT_IN_LOCALES) {
+    for (const field of TRANSLATABLE[type].fields) {
+      const column = columnFor(field, code);
+      if (before && JSON.stringify(before[column]) === JSON.stringify(record[column])) continue;
+      await setTranslationValue(type, record.id, code, field, record[column], userId);
+      edited.add(code);
+    }
+  }
+
+  await recordLocaleEdits(type, record.id, [...edited]);
+};
+
+// Editors can confirm a locale is still correct after a change elsewhere
+const markUpToDate = async (type, entityId, localeCode) => {
+  const { required } = TRANSLATABLE[type];
+  const count = await prisma.translation.count({
+    where: { entityType: type, entityId, localeCode, field: { in: required } },
+  });
+
+  if (count < required.length) {
+    return { status: 400, message: 'The translation is incomplete' };
+  }
+
+  const status = await prisma.translationStatus.upsert({
+    where: { entityType_entityId_localeCode: { entityType: type, entityId, localeCode } },
+    create: { entityType: type, entityId, localeCode, state: 'UP_TO_DATE' },
+    update: { state: 'UP_TO_DATE', outdatedSince: null },
+  });
+  return { translationStatus: status };
+};
+
+const updateTranslations = async ({ model, action, before, after, context }) => {
+  const type = MODEL_TYPES[model];
+  if (!type) return;
+
+  if (action === 'delete') {
+    await prisma.translation.deleteMany({ where: { entityType: type, entityId: before.id } });
+    await prisma.translationStatus.deleteMany({ where: { entityType: type, entityId: before.id } });
+    return;
+  }
+
+  await seedBuiltInLocales();
+  await syncColumns(type, after, { before, userId: context.user?.id });
+};
+
+// { [localeCode]: { field: value } } for one record
+const getTranslations = async (type, entityId) => {
+  const rows = await prisma.translation.findMany({
+    where: { entityType: type, entityId },
+    select: { localeCode: true, field: true, value: true, updatedAt: true },
+  });
+
+  return rows.reduce((translations, row) => {
+    translations[row.localeCode] ||= {};
+    translations[row.localeCode][row.field] = row.value;
+    return translations;
+  }, {});
+};
+
+// Save translated fields for one locale. Built-in locales write their columns
+// (mirrored back by the model listener); other locales write Translation rows.
+// Page templates are left to pageTemplate.service so they stay versioned.
+// Reviewed content follows the same publishing rules as editing it directly.
+const saveTranslations = async (type, entityId, localeCode, values, { userId, canPublish } = {}) => {
+  const config = TRANSLATABLE[type];
+  const fields = Object.keys(values).filter(
+    (field) => config.fields.includes(field) && !(type === 'page' && field === 'template')
+  );
+
+  if (!fields.length) {
+    return { status: 400, message: `Translatable fields are: ${config.fields.join(', ')}` };
+  }
+
+  const reviewable = isReviewable(type);
+  const record = await prisma[config.delegate].findUnique({
+    where: { id: entityId },
+    select: {
+      id: true,
+      ...(reviewable && { status: true, workflowState: true, publishAt: true }),
+    },
+  });
+  if (!record) return { status: 404, message: 'Content not found' };
+
+  const workflow = reviewable ? workflowForEdit(record, canPublish) : {};
+  if (!workflow) {
+    return { status: 403, message: `Changing published content requires ${type}:publish` };
+  }
+
+  if (isColumnLocale(localeCode)) {
+    const empty = fields.filter((field) => isMissing(values[field]) && config.required.includes(field));
+    if (empty.length) {
+      return { status: 400, message: `${empty.join(', ')} cannot be empty for ${localeCode}` };
+    }
+
+    await prisma[config.delegate].update({
+      where: { id: entityId },
+      data: {
+        ...Object.fromEntries(
+          fields.map((field) => [columnFor(field, localeCode), values[field] ?? null])
+        ),
+        ...workflow,
+      },
+    });
+  } else {
+    for (const field of fields) {
+      await setTranslationValue(type, entityId, localeCode, field, values[field], userId);
+    }
+    await recordLocaleEdits(type, entityId, [localeCode]);
+    if (USAGE_SOURCES[type]) await refreshMediaUsage(type, entityId);
+    if (Object.keys(workflow).length) {
+      await prisma[config.delegate].update({ where: { id: entityId }, data: workflow });
+    }
+  }
+
+  return { translations: await getTranslations(type, entityId) };
+};
+
+// Attach the translations of non-column locales in the chain to each record as a
+// hidden _translations property, for the language middleware to pick from
+const attachTranslations = async (type, records, chain) => {
+  const codes = (chain || []).filter((code) => !isColumnLocale(code));
+  const items = (Array.isArray(records) ? records : [records]).filter((item) => item?.id);
+  if (!codes.length || !items.length) return records;
+
+  const rows = await prisma.translation.findMany({
+    where: {
+      entityType: type,
+      entityId: { in: items.map((item) => item.id) },
+      localeCode: { in: codes },
+    },
+    select: { entityId: true, localeCode: true, field: true, value: true },
+  });
+
+  items.forEach((item) => {
+    const translations = {};
+    rows
+      .filter((row) => row.entityId === item.id)
+      .forEach((row) => {
+        translations[row.localeCode] ||= {};
+        translations[row.localeCode][row.field] = row.value;
+      });
+    Object.defineProperty(item, '_translations', { value: translations, enumerable: false });
+  });
+
+  return records;
+};
+
+// Per-locale, per-type count of records with every required field translated
+const getCompleteness = async (locales) => {
+  const report = {};
+
+  for (const [type, config] of Object.entries(TRANSLATABLE)) {
+    const total = await prisma[config.delegate].count();
+    const groups = await prisma.translation.groupBy({
+      by: ['localeCode', 'entityId'],
+      where: { entityType: type, field: { in: config.required } },
+      _count: { _all: true },
+    });
+
+    locales.forEach(({ code }) => {
+      const complete = groups.filter(
+        (group) => group.localeCode === code && group._count._all === config.required.length
+      ).length;
+
+      report[code] ||= {};
+      report[code][type] = {
+        total,
+        complete,
+        missing: total - complete,
+        percent: total ? Math.round((complete / total) * 1000) / 10 : 100,
+      };
+    });
+  }
+
+  return report;
+};
+
+const REPORT_TYPES = ['post', 'page', 'menu', 'category'];
+const TRANSLATION_STATES = ['MISSING', 'OUTDATED', 'UP_TO_DATE'];
+
+// Items with at least one locale in one of the given states. A locale without a
+// status row has never been translated and counts as missing.
+const getTranslationReport = async ({
+  types = REPORT_TYPES,
+  locales,
+  states = ['MISSING', 'OUTDATED'],
+  pagination,
+}) => {
+  const items = [];
+
+  for (const type of types) {
+    const titleColumn = columnFor(TRANSLATABLE[type].fields[0], 'en');
+    const [records, statuses] = await Promise.all([
+      prisma[TRANSLATABLE[type].delegate].findMany({
+        select: { id: true, [titleColumn]: true, updatedAt: true },
+        orderBy: { updatedAt: 'desc' },
+      }),
+      prisma.translationStatus.findMany({
+        where: { entityType: type, localeCode: { in: locales.map(({ code }) => code) } },
+        select: { entityId: true, localeCode: true, state: true, outdatedSince: true },
+      }),
+    ]);
+
+    records.forEach((record) => {
+      const rows = statuses.filter((status) => status.entityId === record.id);
+      const recordStates = Object.fromEntries(
+        locales.map(({ code }) => [
+          code,
+          rows.find((row) => row.localeCode === code)?.state || 'MISSING',
+        ])
+      );
+
+      if (!Object.values(recordStates).some((state) => states.includes(state))) return;
+
+      const outdated = rows.filter((row) => row.outdatedSince).map((row) => row.outdatedSince);
+      items.push({
+        type,
+        id: record.id,
+        title: record[titleColumn],
+        updatedAt: record.updatedAt,
+        states: recordStates,
+        outdatedSince: outdated.length ? new Date(Math.min(...outdated)) : null,
+      });
+    });
+  }
+
+  return {
+    total: items.length,
+    items: items.slice(pagination.skip, pagination.skip + pagination.limit),
+  };
+};
+
+onModelChange(updateTranslations);
+
+module.exports = {
+  TRANSLATABLE,
+  REPORT_TYPES,
+  TRANSLATION_STATES,
+  columnFor,
+  isTranslatable,
+  setTranslationValue,
+  syncColumns,
+  recordLocaleEdits,
+  markUpToDate,
+  getTranslations,
+  saveTranslations,
+  attachTranslations,
+  getCompleteness,
+  getTranslationReport,
+};
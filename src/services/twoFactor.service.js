@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const prisma = require('./db.service');
+const { getSetting } = require('./settings.service');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { hashSecureToken } = require('../utils/secureToken');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'WBB CMS';
+
+const isTwoFactorRequired = async (role) =>
+  (await getSetting('auth.requireTwoFactorRoles')).includes(role);
+
+// Store a new pending secret. It only takes effect once enableTwoFactor confirms a code.
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: encrypt(secret), twoFactorLastStep: null },
+  });
+
+  const otpauthUrl = buildOtpauthUrl({ secret, account: user.email, issuer: ISSUER });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Check a TOTP code, refusing codes from a time step that was already used
+const verifyTotp = async (user, code) => {
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyCode(decrypt(user.twoFactorSecret), code);
+  if (step === null || (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep)) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+    },
+    data: { twoFactorLastStep: step },
+  });
+  return count === 1;
+};
+
+const formatRecoveryCode = () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+// Replace all recovery codes; the plain codes are only ever returned here
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, formatRecoveryCode);
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map((code) => ({ userId, codeHash: hashSecureToken(code) })),
+    }),
+  ]);
+
+  return codes;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: {
+      userId,
+      codeHash: hashSecureToken(normalizeRecoveryCode(code)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+  return count === 1;
+};
+
+const countRecoveryCodes = (userId) =>
+  prisma.recoveryCode.count({ where: { userId, usedAt: null } });
+
+const enableTwoFactor = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorEnabled: true },
+  });
+  return generateRecoveryCodes(userId);
+};
+
+const disableTwoFactor = (userId) =>
+  prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null },
+    }),
+  ]);
+
+module.exports = {
+  isTwoFactorRequired,
+  startEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+};
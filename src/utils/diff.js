@@ -0,0 +1,21 @@
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Field-level changes between two flat records: { field: { from, to } }
+const diffFields = (before, after, { ignore = [], fields } = {}) => {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+  return keys.reduce((changes, key) => {
+    if (ignore.includes(key)) return changes;
+
+    const from = before ? normalize(before[key]) : undefined;
+    const to = after ? normalize(after[key]) : undefined;
+    if (!isEqual(from, to)) {
+      changes[key] = { from: from ?? null, to: to ?? null };
+    }
+    return changes;
+  }, {});
+};
+
+module.exports = { isEqual, diffFields };
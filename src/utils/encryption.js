@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for secrets that must be readable again, such as TOTP seeds
+const getKey = () =>
+  crypto
+    .createHash('sha256')
+    .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encrypt, decrypt };
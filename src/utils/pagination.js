@@ -0,0 +1,15 @@
+// Parse page/limit query params into Prisma skip/take values
+const getPagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationMeta = (total, { page, limit }) => ({
+  total,
+  totalPages: Math.ceil(total / limit),
+  currentPage: page,
+});
+
+module.exports = { getPagination, paginationMeta };
@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Random token handed to the client; only its hash is stored
+const createSecureToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashSecureToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { createSecureToken, hashSecureToken };
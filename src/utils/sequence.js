@@ -0,0 +1,17 @@
+const MAX_ATTEMPTS = 5;
+
+// Insert a row numbered one past the current highest. When two writers race for
+// the same number the unique index rejects one of them (P2002), which retries
+// with the next number.
+const createWithNextNumber = async (getLatest, create) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const number = ((await getLatest()) || 0) + 1;
+    try {
+      return await create(number);
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+module.exports = { createWithNextNumber };
@@ -0,0 +1,87 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Zero-width joiners shape Bengali conjuncts but must not split or break matches
+const ZERO_WIDTH = /[\u200b-\u200d\ufeff]/g;
+
+// Letters, combining marks and digits in any script; \w would cut Bengali
+// words apart at every vowel sign
+const TOKEN = /[\p{L}\p{M}\p{N}]+/gu;
+
+const MIN_TOKEN_LENGTH = 2;
+
+const normalizeText = (text) =>
+  String(text || '')
+    .normalize('NFC')
+    .replace(ZERO_WIDTH, '')
+    .toLowerCase();
+
+const htmlToText = (html) =>
+  sanitizeHtml(String(html || ''), { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Unique search tokens in order of appearance
+const tokenize = (text) => [
+  ...new Set(
+    (normalizeText(text).match(TOKEN) || []).filter(
+      (token) => [...token].length >= MIN_TOKEN_LENGTH || /^\p{N}+$/u.test(token)
+    )
+  ),
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Case-insensitive matcher for any of the tokens, tolerant of zero-width joiners
+const buildMatcher = (tokens) =>
+  new RegExp(
+    tokens
+      .map((token) => [...token].map(escapeRegExp).join('[\\u200b-\\u200d\\ufeff]?'))
+      .join('|'),
+    'giu'
+  );
+
+// Plain-text excerpt around the first match with matches wrapped in <mark>
+const buildSnippet = (text, tokens, { length = 200 } = {}) => {
+  const source = String(text || '').normalize('NFC');
+  if (!source || !tokens.length) return null;
+
+  const matcher = buildMatcher(tokens);
+  const first = matcher.exec(source);
+  if (!first) return null;
+
+  // Start on a word boundary so no Bengali grapheme is cut in half
+  let start = Math.max(0, first.index - Math.floor(length / 3));
+  if (start > 0) {
+    const space = source.slice(start, first.index).search(/\s/);
+    start = space === -1 ? first.index : start + space + 1;
+  }
+  const end = Math.min(source.length, start + length);
+  const excerpt = source.slice(start, end);
+
+  const highlighted = escapeHtml(excerpt).replace(
+    buildMatcher(tokens.map(escapeHtml)),
+    (match) => `<mark>${match}</mark>`
+  );
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+  normalizeText,
+  htmlToText,
+  tokenize,
+  buildSnippet,
+};